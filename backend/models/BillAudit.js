@@ -0,0 +1,33 @@
+// models/BillAudit.js — One entry per change to a WeighBill (see services/billAudit.js)
+const mongoose = require('mongoose');
+
+const AUDIT_ACTIONS = [
+  'created', 'gross_captured', 'tare_captured', 'updated', 'images_uploaded',
+  'printed', 'cancelled', 'deleted',
+  'correction_requested', 'corrected', 'correction_rejected'
+];
+
+const ChangeSchema = new mongoose.Schema({
+  field:  { type: String, required: true },         // dot path, e.g. grossWeight.value
+  before: { type: mongoose.Schema.Types.Mixed, default: null },
+  after:  { type: mongoose.Schema.Types.Mixed, default: null }
+}, { _id: false });
+
+const BillAuditSchema = new mongoose.Schema({
+  billId:  { type: mongoose.Schema.Types.ObjectId, required: true, index: true },
+  billNo:  { type: Number, index: true },
+  action:  { type: String, enum: AUDIT_ACTIONS, required: true },
+  changes: { type: [ChangeSchema], default: [] },
+  user:    { type: String, trim: true, default: null },
+  ip:      { type: String, default: null },
+  bridge:  { type: String, default: null },
+  at:      { type: Date, default: Date.now, index: true }
+}, { versionKey: false });
+
+// Entries are never edited once written
+BillAuditSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate'], function (next) {
+  next(new Error('Bill audit entries are read-only'));
+});
+
+module.exports = mongoose.model('BillAudit', BillAuditSchema);
+module.exports.AUDIT_ACTIONS = AUDIT_ACTIONS;
@@ -0,0 +1,37 @@
+// models/Order.js — Purchase / sales orders bills are weighed against (see services/orderReconciliation.js)
+const mongoose = require('mongoose');
+const WeighBill = require('./WeighBill');
+
+// purchase: material received against a supplier invoice; sales: dispatched against a sales order
+const ORDER_TYPES    = ['purchase', 'sales'];
+const ORDER_STATUSES = ['open', 'closed'];
+
+const OrderSchema = new mongoose.Schema({
+  orderNo:          { type: String, required: true, unique: true, uppercase: true, trim: true },
+  type:             { type: String, enum: ORDER_TYPES, default: 'purchase' },
+  party:            { type: String, trim: true, default: '' },        // supplier or customer
+  material:         { type: String, uppercase: true, trim: true, default: '' },
+  quantity:         { type: Number, required: true, min: 0 },        // ordered, kg
+  tolerancePercent: { type: Number, default: null, min: 0 },         // null → ORDER_TOLERANCE_PERCENT
+  status:           { type: String, enum: ORDER_STATUSES, default: 'open' },
+  notes:            { type: String, trim: true, default: '' },
+  closedAt:         { type: Date, default: null }
+}, { timestamps: true });
+
+// ── Delivered net, trips and out-of-tolerance trips per order number, from completed bills
+OrderSchema.statics.deliveredTotals = async function (orderNos) {
+  const rows = await WeighBill.aggregate([
+    { $match: { status: 'completed', 'order.orderNo': { $in: orderNos } } },
+    { $group: {
+      _id:            '$order.orderNo',
+      delivered:      { $sum: '$netWeight' },
+      trips:          { $sum: 1 },
+      outOfTolerance: { $sum: { $cond: [{ $eq: ['$order.withinTolerance', false] }, 1, 0] } }
+    } }
+  ]);
+  return new Map(rows.map(r => [r._id, r]));
+};
+
+module.exports = mongoose.model('Order', OrderSchema);
+module.exports.ORDER_TYPES    = ORDER_TYPES;
+module.exports.ORDER_STATUSES = ORDER_STATUSES;
@@ -1,78 +1,486 @@
 // models/WeighBill.js
 const mongoose = require('mongoose');
+const weightUnits = require('../services/weightUnits');
+const billSeries = require('../services/billSeries');
+const orderReconciliation = require('../services/orderReconciliation');
+const imageStore = require('../services/imageStore');
 
-// Atomic counter for bill numbers
+// Atomic counters: 'billNo' (global running number) and one 'series:…' per bill number series
 const CounterSchema = new mongoose.Schema({
   _id: { type: String, required: true },
   seq: { type: Number, default: 0 }
 });
 const Counter = mongoose.model('Counter', CounterSchema);
 
+// Where a captured weight came from
+const WEIGHT_SOURCES = ['serial_stable', 'serial_unstable', 'manual', 'simulation', 'stored_tare'];
+
+// Bill status says which weighing is still outstanding; either may come first.
+// A cancelled bill keeps its number and weighings but takes no further changes.
+const BILL_STATUSES = ['pending', 'awaiting_tare', 'awaiting_gross', 'completed', 'cancelled'];
+// One weighing taken, the vehicle still has to come back for the other
+const OPEN_STATUSES = ['awaiting_tare', 'awaiting_gross'];
+// Status values written by earlier versions (gross first only)
+const LEGACY_STATUSES = { gross_weighed: 'awaiting_tare' };
+
+// outbound: loaded first, leaves empty-weighed (dispatch)
+// inbound:  empty first, leaves loaded (purchase / receipt)
+const DIRECTIONS = ['outbound', 'inbound'];
+
+// One weighing (gross or tare) with its provenance
+const WeighingSchema = new mongoose.Schema({
+  value:       { type: Number, default: null },
+  timestamp:   { type: Date },
+  weighbridge: { type: String, default: null },
+  source:      { type: String, enum: [...WEIGHT_SOURCES, null], default: null },
+  rawWeight:   { type: Number, default: null },   // live indicator reading at capture time
+  stable:      { type: Boolean, default: null },  // stability state at capture time
+  stability:   {
+    reason: { type: String },
+    detail: { type: String }
+  },
+  enteredBy:   { type: String, trim: true, default: null },
+  storedTare:  {                                  // source = stored_tare: when the tare was weighed
+    measuredAt:   { type: Date },
+    sourceBillNo: { type: Number }
+  }
+}, { _id: false });
+
+// Figures of a completed bill before a correction replaced them
+const RevisionSchema = new mongoose.Schema({
+  revision:     { type: Number, required: true },   // revision these figures belonged to
+  grossWeight:  { type: Number },
+  tareWeight:   { type: Number },
+  netWeight:    { type: Number },
+  replacedAt:   { type: Date, default: Date.now },
+  correctionId: { type: mongoose.Schema.Types.ObjectId }
+}, { _id: false });
+
+// A requested change to the weights of a completed (locked) bill
+const CORRECTION_STATUSES = ['pending', 'approved', 'rejected'];
+const CorrectionSchema = new mongoose.Schema({
+  grossWeight: { type: Number, default: null },     // new values; null = unchanged
+  tareWeight:  { type: Number, default: null },
+  reason:      { type: String, required: true, trim: true },
+  requestedBy: { type: String, trim: true, default: null },
+  requestedAt: { type: Date, default: Date.now },
+  status:      { type: String, enum: CORRECTION_STATUSES, default: 'pending' },
+  reviewedBy:  { type: String, trim: true, default: null },
+  reviewedAt:  { type: Date },
+  reviewNote:  { type: String, trim: true },
+  revision:    { type: Number }                     // revision created on approval
+});
+
+// Charge worked out by the tariff engine (services/tariffService.js)
+const ChargeQuoteSchema = new mongoose.Schema({
+  mode:   { type: String },
+  amount: { type: Number },
+  lines:  [{ _id: false, code: String, label: String, amount: Number }],
+  final:  { type: Boolean, default: false }         // false until the net weight was known
+}, { _id: false });
+
+// Charge entered by the operator instead of the computed one
+const ChargeOverrideSchema = new mongoose.Schema({
+  amount:   { type: Number, required: true },
+  computed: { type: Number },                       // tariff charge at the latest quote
+  reason:   { type: String, required: true, trim: true },
+  by:       { type: String, trim: true, default: null },
+  at:       { type: Date, default: Date.now }
+}, { _id: false });
+
+// Order a bill is weighed against, with the weight its invoice / delivery note states
+const OrderRefSchema = new mongoose.Schema({
+  orderNo:          { type: String, required: true, uppercase: true, trim: true },
+  expectedNet:      { type: Number, default: null },    // kg; null = no per-trip check
+  tolerancePercent: { type: Number, default: null },
+  variance:         { type: Number, default: null },    // net − expected, kg
+  variancePercent:  { type: Number, default: null },
+  withinTolerance:  { type: Boolean, default: null }    // null until net and expected are known
+}, { _id: false });
+
+// Anomaly raised by services/anomalyRules.js when the bill completes
+const FlagSchema = new mongoose.Schema({
+  rule:     { type: String, required: true },
+  severity: { type: String, enum: ['warning', 'critical'], default: 'warning' },
+  message:  { type: String, required: true },
+  detail:   { type: mongoose.Schema.Types.Mixed },
+  at:       { type: Date, default: Date.now }
+}, { _id: false });
+
+// Camera image stored by services/imageStore.js — the bill keeps only the reference.
+// Each weighing has its own set: the tare-time photos prove the empty vehicle.
+// API responses add signed `url` / `thumbUrl` (see GET /api/bills/:id/images/:imageId).
+const IMAGE_STAGES  = ['gross', 'tare'];
+const IMAGE_SOURCES = ['camera', 'upload', 'migrated'];
+const ImageSchema = new mongoose.Schema({
+  stage:       { type: String, enum: IMAGE_STAGES, required: true },
+  camera:      { type: Number, required: true },        // 1..CAMERA_COUNT of the bridge
+  role:        { type: String, default: '' },           // camera's role label when taken (front, rear...)
+  weight:      { type: Number, default: null },         // kg of that weighing when the image was taken
+  file:        { type: String, required: true },        // path under IMAGE_DIR
+  thumb:       { type: String, default: null },         // null = no thumbnail, the image is served
+  contentType: { type: String, default: 'image/jpeg' },
+  size:        { type: Number },                        // bytes
+  sha1:        { type: String },
+  source:      { type: String, enum: IMAGE_SOURCES, default: 'camera' },
+  capturedAt:  { type: Date, default: Date.now }
+}, {
+  toJSON: {
+    transform(doc, ret) {
+      const bill = doc.ownerDocument && doc.ownerDocument();
+      if (bill && bill._id) {
+        ret.url      = imageStore.url(bill._id, doc._id);
+        ret.thumbUrl = imageStore.url(bill._id, doc._id, 'thumb');
+      }
+      delete ret.file;
+      delete ret.thumb;
+      return ret;
+    }
+  }
+});
+
+// Number plate read by services/plateRecognizer.js: one per stage — the suggestion made when the
+// bill was opened, and the read at each weighing compared with the vehicle no. typed then
+const PLATE_STAGES = ['create', 'gross', 'tare'];
+const PlateReadSchema = new mongoose.Schema({
+  stage:      { type: String, enum: PLATE_STAGES, required: true },
+  text:       { type: String, required: true },         // letters and digits only
+  confidence: { type: Number, default: null },          // 0–1
+  camera:     { type: Number },
+  role:       { type: String, default: '' },
+  vehicleNo:  { type: String, default: '' },            // vehicle no. on the bill when read
+  match:      { type: Boolean, default: null },         // null = under PLATE_MIN_CONFIDENCE, not compared
+  at:         { type: Date, default: Date.now }
+}, { _id: false });
+
 const WeighBillSchema = new mongoose.Schema({
   billNo:    { type: Number, unique: true },
+  docNo:     { type: String, unique: true, sparse: true },   // formatted series number; absent on bills from before
+  documentType: { type: String, uppercase: true, trim: true, default: null },
+  series: {                                       // series the docNo was drawn from
+    key: { type: String },
+    seq: { type: Number },
+    fy:  { type: String }
+  },
   dateTime:  { type: Date, default: Date.now },
   vehicleNo: { type: String, required: true, uppercase: true, trim: true },
   material:  { type: String, required: true, trim: true },
   customer:  { type: String, required: true, trim: true },
   charges:   { type: Number, default: 0 },
-  grossWeight: {
-    value:     { type: Number, default: null },
-    timestamp: { type: Date }
-  },
-  tareWeight: {
-    value:     { type: Number, default: null },
-    timestamp: { type: Date }
-  },
+  tariff:         { type: ChargeQuoteSchema, default: null },      // null while the tariff is off
+  chargeOverride: { type: ChargeOverrideSchema, default: null },
+  customFields:   { type: mongoose.Schema.Types.Mixed },            // { key: value } of the admin-defined fields
+  order:          { type: OrderRefSchema, default: null },
+  flags:          { type: [FlagSchema], default: [] },               // replaced each time the bill is evaluated
+  weighbridge: { type: String, uppercase: true, trim: true, default: null },  // bridge the bill was opened on
+  direction:   { type: String, enum: [...DIRECTIONS, null], default: null },    // set by the first weighing unless given
+  grossWeight: { type: WeighingSchema, default: () => ({}) },
+  tareWeight:  { type: WeighingSchema, default: () => ({}) },
   netWeight:    { type: Number, default: null },
-  camera1Image: { type: String, default: null },
-  camera2Image: { type: String, default: null },
+  images:       { type: [ImageSchema], default: [] },   // one per stage and camera
+  plateReads:   { type: [PlateReadSchema], default: [] },   // one per stage
   printedAt:    { type: Date },
+  revision:     { type: Number, default: 0 },     // bumped by each approved correction
+  revisions:    { type: [RevisionSchema], default: [] },
+  corrections:  { type: [CorrectionSchema], default: [] },
+  cancellation: {                                 // set when status = cancelled
+    reason:         { type: String, trim: true },
+    by:             { type: String, trim: true },
+    at:             { type: Date },
+    previousStatus: { type: String }
+  },
   status: {
     type: String,
-    enum: ['pending', 'gross_weighed', 'completed'],
-    default: 'pending'
+    enum: BILL_STATUSES,
+    default: 'pending',
+    set: v => LEGACY_STATUSES[v] || v
   }
 }, { timestamps: true });
 
-// ── Assign billNo before validation (atomic, race-condition safe)
+WeighBillSchema.index({ 'order.orderNo': 1 });
+WeighBillSchema.index({ 'flags.rule': 1, dateTime: -1 });
+
+async function nextSeq(id) {
+  const counter = await Counter.findByIdAndUpdate(id, { $inc: { seq: 1 } }, { new: true, upsert: true });
+  return counter.seq;
+}
+
+// ── Assign billNo (and docNo from its series) before validation (atomic, race-condition safe)
 WeighBillSchema.pre('validate', async function (next) {
-  if (this.isNew && !this.billNo) {
-    try {
-      const counter = await Counter.findByIdAndUpdate(
-        'billNo',
-        { $inc: { seq: 1 } },
-        { new: true, upsert: true }
-      );
-      this.billNo = counter.seq;
-    } catch (err) {
-      return next(err);
+  try {
+    if (this.isNew && !this.billNo) this.billNo = await nextSeq('billNo');
+    if (this.isNew && !this.docNo && billSeries.enabled()) {
+      if (!this.documentType) this.documentType = billSeries.defaultDocumentType();
+      const series = billSeries.seriesFor({ bridge: this.weighbridge, documentType: this.documentType, date: this.dateTime });
+      const seq    = await nextSeq(series.key);
+      this.series  = { key: series.key, seq, fy: series.fy };
+      this.docNo   = series.format(seq);
     }
+  } catch (err) {
+    return next(err);
   }
   next();
 });
 
-// ── Calculate net weight on every save
+// ── Number shown on receipts and exports: the series number, else the plain billNo
+WeighBillSchema.methods.displayNo = function () {
+  return this.docNo || String(this.billNo);
+};
+
+function hasWeight(weighing) {
+  return !!(weighing && weighing.value != null && !isNaN(weighing.value) && weighing.value > 0);
+}
+
+// Net is always the heavier weighing minus the lighter one
+function netOf(gross, tare) {
+  return weightUnits.round(Math.abs(parseFloat(gross) - parseFloat(tare)));
+}
+
+// ── Status implied by the weighings present
+WeighBillSchema.methods.weighingStatus = function () {
+  const gross = hasWeight(this.grossWeight);
+  const tare  = hasWeight(this.tareWeight);
+  if (gross && tare) return 'completed';
+  if (gross) return 'awaiting_tare';
+  if (tare)  return 'awaiting_gross';
+  return 'pending';
+};
+
+// ── Trip direction from whichever weighing came first (kept once set)
+WeighBillSchema.methods.inferDirection = function () {
+  if (this.direction) return this.direction;
+  const gross = hasWeight(this.grossWeight);
+  const tare  = hasWeight(this.tareWeight);
+  if (gross && tare) {
+    const g = this.grossWeight.timestamp, t = this.tareWeight.timestamp;
+    this.direction = g && t && t < g ? 'inbound' : 'outbound';
+  } else if (gross) {
+    this.direction = 'outbound';
+  } else if (tare) {
+    this.direction = 'inbound';
+  }
+  return this.direction;
+};
+
+// ── After a capture: direction, status and net weight in one place
+WeighBillSchema.methods.applyWeighings = function () {
+  this.inferDirection();
+  this.status = this.weighingStatus();
+  this.netWeight = this.status === 'completed' ? netOf(this.grossWeight.value, this.tareWeight.value) : null;
+  return this;
+};
+
+// ── Take a tariff quote: charges follow it unless an operator override stands
+WeighBillSchema.methods.applyTariff = function (quote) {
+  this.tariff = quote;
+  if (this.chargeOverride) this.chargeOverride.computed = quote.amount;
+  else this.charges = quote.amount;
+  return this;
+};
+
+// ── Operator charge instead of the tariff one; the same amount as computed clears the override
+WeighBillSchema.methods.overrideCharges = function (amount, reason, by) {
+  if (this.tariff && amount === this.tariff.amount) {
+    this.chargeOverride = null;
+  } else {
+    this.chargeOverride = { amount, computed: this.tariff ? this.tariff.amount : null, reason, by: by || null, at: new Date() };
+  }
+  this.charges = amount;
+  return this;
+};
+
+// ── When an open trip started: its first weighing, or the bill's creation
+WeighBillSchema.methods.openedAt = function () {
+  const times = [this.grossWeight, this.tareWeight].filter(hasWeight).map(w => w.timestamp).filter(Boolean);
+  return times.length ? new Date(Math.min(...times.map(t => new Date(t)))) : this.createdAt;
+};
+
+// ── Bills waiting for their second weighing, oldest first
+WeighBillSchema.statics.findOpenTrips = function ({ bridge, vehicleNo } = {}) {
+  const query = { status: { $in: OPEN_STATUSES } };
+  if (bridge)    query.weighbridge = String(bridge).toUpperCase();
+  if (vehicleNo) query.vehicleNo   = String(vehicleNo).trim().toUpperCase();
+  return this.find(query).sort({ createdAt: 1 });
+};
+
+// ── Image reference of one stage and camera, or null
+WeighBillSchema.methods.imageOf = function (stage, camera) {
+  return this.images.find(i => i.stage === stage && i.camera === camera) || null;
+};
+
+// ── Put an image reference (from imageStore.save) in its stage and camera's place; returns the one replaced
+WeighBillSchema.methods.setImage = function (ref) {
+  const previous = this.imageOf(ref.stage, ref.camera);
+  const order = i => IMAGE_STAGES.indexOf(i.stage) * 100 + i.camera;
+  this.images = [...this.images.filter(i => i !== previous), ref].sort((a, b) => order(a) - order(b));
+  return previous;
+};
+
+// ── Remove the image of one stage and camera; returns it
+WeighBillSchema.methods.removeImage = function (stage, camera) {
+  const previous = this.imageOf(stage, camera);
+  if (previous) this.images = this.images.filter(i => i !== previous);
+  return previous;
+};
+
+// ── Store the plate read of its stage in place of an earlier one
+WeighBillSchema.methods.setPlateRead = function (read) {
+  this.plateReads = [...this.plateReads.filter(r => r.stage !== read.stage), read]
+    .sort((a, b) => PLATE_STAGES.indexOf(a.stage) - PLATE_STAGES.indexOf(b.stage));
+  return this.plateReads.find(r => r.stage === read.stage);
+};
+
+// ── Cancel instead of delete, so the bill number stays accounted for
+WeighBillSchema.methods.cancel = function (reason, by) {
+  this.cancellation = { reason, by: by || null, at: new Date(), previousStatus: this.status };
+  this.status = 'cancelled';
+  return this;
+};
+
+// ── Completed bills are locked: weights and net change only through an approved correction.
+// The lock is judged on the stored state, so the save that completes a bill still goes through.
+WeighBillSchema.post('init', function () {
+  this.$locals.lockedOnLoad = this.status === 'completed';
+});
+
+WeighBillSchema.methods.isLocked = function () {
+  return !!this.$locals.lockedOnLoad && !this.$locals.correction;
+};
+
+const LOCKED_PATHS = ['grossWeight.value', 'tareWeight.value', 'netWeight'];
+
+// ── Apply an approved correction: keep the old figures as a revision, write the new ones
+WeighBillSchema.methods.applyCorrection = function (correction, reviewedBy, note) {
+  this.revisions.push({
+    revision:     this.revision,
+    grossWeight:  this.grossWeight.value,
+    tareWeight:   this.tareWeight.value,
+    netWeight:    this.netWeight,
+    correctionId: correction._id
+  });
+  ['grossWeight', 'tareWeight'].forEach(key => {
+    if (correction[key] == null) return;
+    this[key].value     = weightUnits.round(correction[key]);
+    this[key].source    = 'manual';
+    this[key].enteredBy = correction.requestedBy;
+    this[key].storedTare = undefined;
+  });
+  this.revision += 1;
+  this.$locals.correction = true;
+  this.applyWeighings();
+
+  correction.status     = 'approved';
+  correction.reviewedBy = reviewedBy || null;
+  correction.reviewedAt = new Date();
+  correction.reviewNote = note;
+  correction.revision   = this.revision;
+  return this;
+};
+
+// ── Calculate net weight on every save; a locked bill refuses changed figures
 WeighBillSchema.pre('save', function (next) {
-  const gross = this.grossWeight && this.grossWeight.value;
-  const tare  = this.tareWeight  && this.tareWeight.value;
-  if (gross != null && tare != null && !isNaN(gross) && !isNaN(tare)) {
-    this.netWeight = parseFloat(gross) - parseFloat(tare);
+  if (this.isLocked()) {
+    const changed = LOCKED_PATHS.filter(p => this.isModified(p));
+    if (changed.length) {
+      return next(new Error(`Bill #${this.displayNo()} is completed and locked — ${changed.join(', ')} can only change through an approved correction`));
+    }
+    return next();
+  }
+  if (hasWeight(this.grossWeight) && hasWeight(this.tareWeight)) {
+    this.netWeight = netOf(this.grossWeight.value, this.tareWeight.value);
   }
   next();
 });
 
+// ── Variance against the order after every change of net or expected weight
+WeighBillSchema.methods.reconcileOrder = function () {
+  if (!this.order) return this;
+  Object.assign(this.order, orderReconciliation.variance(this.netWeight, this.order.expectedNet, this.order.tolerancePercent));
+  return this;
+};
+
+WeighBillSchema.pre('save', function (next) {
+  this.reconcileOrder();
+  next();
+});
+
 // ── Static helper used by routes that need net weight after findByIdAndUpdate
 WeighBillSchema.statics.recalcNetWeight = async function (id) {
   const doc = await this.findById(id);
   if (!doc) return null;
-  const gross = doc.grossWeight && doc.grossWeight.value;
-  const tare  = doc.tareWeight  && doc.tareWeight.value;
-  if (gross != null && tare != null) {
-    doc.netWeight = parseFloat(gross) - parseFloat(tare);
+  if (doc.isLocked()) throw new Error(`Bill #${doc.displayNo()} is completed and locked — net weight cannot be recalculated`);
+  if (hasWeight(doc.grossWeight) && hasWeight(doc.tareWeight)) {
+    doc.netWeight = netOf(doc.grossWeight.value, doc.tareWeight.value);
     await doc.save();
   }
   return doc;
 };
 
+// ── Rewrite status values stored by earlier versions (run once the DB is connected)
+WeighBillSchema.statics.migrateLegacyStatuses = async function () {
+  let changed = 0;
+  for (const [legacy, status] of Object.entries(LEGACY_STATUSES)) {
+    const result = await this.updateMany({ status: legacy }, { $set: { status } });
+    changed += result.modifiedCount || 0;
+  }
+  return changed;
+};
+
+// Stage of a bill's base64 images from earlier versions, which kept one set per bill: the
+// first weighing's — later captures only filled cameras without an image — else gross
+function legacyImageStage(doc) {
+  const time = w => (w && w.value > 0 && w.timestamp ? new Date(w.timestamp).getTime() : null);
+  const gross = time(doc.grossWeight), tare = time(doc.tareWeight);
+  return tare !== null && (gross === null || tare < gross) ? 'tare' : 'gross';
+}
+
+// ── Move base64 images of bills from earlier versions (camera1Image / camera2Image) into the
+//    image store, one bill at a time so an interrupted run simply continues on the next start.
+//    Returns { bills, images, failed }.
+WeighBillSchema.statics.migrateInlineImages = async function () {
+  const legacy = ['camera1Image', 'camera2Image'];
+  const result = { bills: 0, images: 0, failed: 0 };
+  const cursor = this.collection.find(
+    { $or: legacy.map(key => ({ [key]: { $type: 'string' } })) },
+    { projection: { billNo: 1, dateTime: 1, createdAt: 1, grossWeight: 1, tareWeight: 1, images: 1, ...Object.fromEntries(legacy.map(k => [k, 1])) } }
+  );
+  for await (const doc of cursor) {
+    const images = [...(doc.images || [])];
+    const unset  = {};
+    const stage  = legacyImageStage(doc);
+    for (const [i, key] of legacy.entries()) {
+      const camera = i + 1;
+      if (typeof doc[key] !== 'string') continue;
+      unset[key] = '';
+      if (!doc[key] || images.some(img => img.camera === camera)) continue;
+      try {
+        const ref = await imageStore.saveDataUri(doc[key], {
+          billNo: doc.billNo, stage, camera, weight: doc[`${stage}Weight`]?.value ?? null,
+          source: 'migrated', capturedAt: doc.dateTime || doc.createdAt
+        });
+        images.push({ _id: new mongoose.Types.ObjectId(), ...ref });
+        result.images++;
+      } catch (err) {
+        // Left on the bill for a later run or a look by hand
+        delete unset[key];
+        result.failed++;
+        console.warn(`Bill #${doc.billNo} ${key} not migrated:`, err.message);
+      }
+    }
+    if (!Object.keys(unset).length) continue;
+    await this.collection.updateOne({ _id: doc._id }, { $set: { images }, $unset: unset });
+    result.bills++;
+  }
+  return result;
+};
+
 module.exports = mongoose.model('WeighBill', WeighBillSchema);
+module.exports.IMAGE_STAGES   = IMAGE_STAGES;
+module.exports.IMAGE_SOURCES  = IMAGE_SOURCES;
+module.exports.PLATE_STAGES   = PLATE_STAGES;
+module.exports.WEIGHT_SOURCES = WEIGHT_SOURCES;
+module.exports.BILL_STATUSES  = BILL_STATUSES;
+module.exports.DIRECTIONS     = DIRECTIONS;
+module.exports.CORRECTION_STATUSES = CORRECTION_STATUSES;
+module.exports.OPEN_STATUSES  = OPEN_STATUSES;
 
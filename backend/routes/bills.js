@@ -2,34 +2,346 @@
 const express = require('express');
 const router = express.Router();
 const WeighBill = require('../models/WeighBill');
-const serialService = require('../services/serialService');
-const cameraService = require('../services/cameraService');
+const { WEIGHT_SOURCES, DIRECTIONS, BILL_STATUSES, CORRECTION_STATUSES, IMAGE_STAGES } = WeighBill;
+const { Vehicle, Material, CustomField, quoteCharges } = require('./master');
+const SerialService = require('../services/serialService');
+const bridgeService = require('../services/bridgeService');
+const { MAX_CAMERAS } = require('../services/cameraService');
+const protocols = require('../services/protocols');
+const weightUnits = require('../services/weightUnits');
+const billSeries = require('../services/billSeries');
+const customFields = require('../services/customFields');
+const billEvents = require('../services/billEvents');
+const billAudit = require('../services/billAudit');
+const { AUDIT_ACTIONS } = require('../models/BillAudit');
+const Order = require('../models/Order');
+const orderReconciliation = require('../services/orderReconciliation');
+const anomalyRules = require('../services/anomalyRules');
+const imageStore = require('../services/imageStore');
+const plateRecognizer = require('../services/plateRecognizer');
 const multer = require('multer');
-const path = require('path');
-const fs = require('fs');
-
-// Multer for camera image uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    const dir = path.join(__dirname, '../public/snapshots');
-    if (!fs.existsSync(dir)) fs.mkdirSync(dir, { recursive: true });
-    cb(null, dir);
-  },
-  filename: (req, file, cb) => {
-    cb(null, `upload_${Date.now()}_${file.originalname}`);
+
+// Multer for camera image uploads — kept in memory, then written by the image store
+const upload = multer({ storage: multer.memoryStorage(), limits: { fileSize: 10 * 1024 * 1024 } });
+
+// Weighbridge for a capture: body/query `bridge`, else the bridge the bill was opened on
+function resolveCaptureBridge(req, bill) {
+  const requested = req.body.bridge || req.query.bridge;
+  return bridgeService.resolve(requested || bill.weighbridge);
+}
+
+// Weight for a capture: a manual body value wins, otherwise the serial reading
+// must be stable unless the caller explicitly asks for an override.
+// `source` records which of these paths produced the weight.
+function resolveCaptureWeight(serial, body = {}) {
+  const weightData = serial.getCurrentWeight();
+  const manual = parseFloat(body.weight);
+  if (manual > 0) return { weight: weightUnits.round(manual), source: 'manual', reading: weightData };
+
+  const serialSource = stable => weightData.simulation ? 'simulation' : (stable ? 'serial_stable' : 'serial_unstable');
+  if (weightData.stable && weightData.stableWeight > 0) {
+    return { weight: weightData.stableWeight, source: serialSource(true), reading: weightData };
   }
-});
-const upload = multer({ storage, limits: { fileSize: 10 * 1024 * 1024 } });
+
+  const override = body.override === true || body.override === 'true';
+  if (!override) {
+    const { reason, detail } = weightData.stability;
+    return {
+      status: 409,
+      error:  `Weight not stable (${reason}${detail ? ': ' + detail : ''}). Send override: true to capture anyway.`,
+      stability: weightData.stability
+    };
+  }
+  return { weight: weightData.weight, source: serialSource(false), reading: weightData };
+}
+
+// Indicators whose live capture is still being saved. The platform is only disarmed once the
+// bill is saved, so until then a second capture (a double click) is refused by checkPlatform
+const capturing = new Set();
+
+// Return-to-zero: a serial capture needs the platform emptied since the last one.
+// Manual entries are exempt (the operator is overriding the indicator anyway).
+function checkPlatform(serial, capture) {
+  if (capture.source === 'manual') return null;
+  if (capturing.has(serial)) {
+    return { status: 409, error: 'The previous capture on this weighbridge is still being saved', platform: serial.platform.getInfo() };
+  }
+  const check = serial.canCapture();
+  if (check.ok) return null;
+  return { status: 409, error: check.reason, platform: serial.platform.getInfo() };
+}
+
+// Operator who captured or edited a weight (body `operator`)
+function captureOperator(req) {
+  const name = req.body.operator;
+  return name ? String(name).trim().slice(0, 64) || null : null;
+}
+
+// A cancelled bill keeps its number and data but takes no captures or edits
+function refuseCancelled(bill) {
+  if (bill.status !== 'cancelled') return null;
+  return { error: `Bill #${bill.displayNo()} is cancelled`, cancellation: bill.cancellation };
+}
+
+// A completed bill is locked: its weights change only through an approved correction
+function refuseLocked(bill) {
+  if (!bill.isLocked()) return null;
+  return {
+    error: `Bill #${bill.displayNo()} is completed and locked. Request a correction with POST /api/bills/${bill._id}/corrections`,
+    locked: true,
+    revision: bill.revision
+  };
+}
+
+// Approving or rejecting a correction (or overriding an enforced tariff) needs X-Supervisor-Key = SUPERVISOR_KEY
+function refuseNonSupervisor(req) {
+  const key = process.env.SUPERVISOR_KEY;
+  if (!key) return 'Supervisor approval is not possible until SUPERVISOR_KEY is set';
+  if (req.get('X-Supervisor-Key') !== key) return 'Supervisor key required';
+  return null;
+}
+
+// Custom field values sent in the body merged into the bill's own: { values } or { error }
+async function customFieldValues(req, bill) {
+  const defs = await CustomField.definitions();
+  return customFields.clean(defs, req.body.customFields, bill ? bill.customFields : {});
+}
+
+// Order reference from the body (orderNo, expectedNet in kg, tolerancePercent) onto the bill;
+// returns an error message or null. An empty orderNo detaches the bill; a newly referenced
+// order must exist and be open. The variance itself is worked out when the bill is saved.
+async function applyOrderRef(bill, body) {
+  const { orderNo, expectedNet, tolerancePercent } = body;
+  if (orderNo === undefined && expectedNet === undefined && tolerancePercent === undefined) return null;
+  const no = orderNo !== undefined ? String(orderNo || '').trim().toUpperCase() : (bill.order ? bill.order.orderNo : '');
+  if (!no) {
+    if (orderNo === undefined) return 'expectedNet and tolerancePercent need an orderNo';
+    bill.order = null;
+    return null;
+  }
+
+  let ref = bill.order && bill.order.orderNo === no ? bill.order.toObject() : null;
+  if (!ref) {
+    const order = await Order.findOne({ orderNo: no });
+    if (!order) return `Unknown order "${no}"`;
+    if (order.status !== 'open') return `Order ${no} is closed`;
+    ref = { orderNo: no, expectedNet: null, tolerancePercent: order.tolerancePercent ?? orderReconciliation.defaultTolerance() };
+  }
+  if (expectedNet !== undefined) {
+    const kg = expectedNet === null || expectedNet === '' ? null : parseFloat(expectedNet);
+    if (kg !== null && !(kg > 0)) return 'expectedNet must be the weight in kg stated on the invoice / delivery note';
+    ref.expectedNet = kg === null ? null : weightUnits.round(kg);
+  }
+  if (tolerancePercent !== undefined && tolerancePercent !== null && tolerancePercent !== '') {
+    const t = parseFloat(tolerancePercent);
+    if (!(t >= 0)) return 'tolerancePercent must be zero or more';
+    ref.tolerancePercent = t;
+  }
+  bill.order = ref;
+  return null;
+}
+
+// Weight of a bill's weighing for the images of that stage (null until weighed)
+function stageWeight(bill, stage) {
+  const weighing = bill[`${stage}Weight`];
+  return weighing && weighing.value > 0 ? weighing.value : null;
+}
+
+// Camera `camera` of the bridge the bill was weighed on (its role labels the image);
+// null when that bridge has no such camera
+function billCamera(bill, camera) {
+  const bridge = bridgeService.resolve(bill.weighbridge);
+  return bridge ? bridge.camera.camera(camera) : null;
+}
+
+// Camera number of an upload / body key (camera3, camera3Image); throws for a camera the
+// bill's bridge does not have, unless the bill already holds images of it
+function uploadCamera(bill, key, n) {
+  const camera = parseInt(n);
+  if (!billCamera(bill, camera) && !bill.images.some(i => i.camera === camera)) {
+    throw new Error(`${key}: camera ${camera} is not configured on weighbridge ${bill.weighbridge || 'default'}`);
+  }
+  return camera;
+}
+
+// Camera snapshots (cameraService.captureAll) into the image store as the images of one
+// stage (gross | tare). Returns the references replaced.
+async function storeSnapshots(bill, snapshots, stage) {
+  const replaced = [];
+  for (const snap of snapshots) {
+    const ref = await imageStore.save(snap.data, {
+      billNo: bill.billNo, stage, camera: snap.camera, role: snap.role, weight: stageWeight(bill, stage),
+      contentType: snap.contentType, capturedAt: snap.timestamp
+    });
+    const previous = bill.setImage(ref);
+    if (previous) replaced.push(previous);
+  }
+  return replaced;
+}
+
+// Images of one stage sent in the body as data URLs (camera1Image, camera2Image, ... one
+// per camera); null or an empty value removes one. Only an image actually sent needs its
+// camera configured. With keepExisting a camera that already has an image for the stage is
+// left alone. Returns the references replaced or removed.
+async function storeBodyImages(bill, body, stage, keepExisting = false) {
+  const replaced = [];
+  for (const key of Object.keys(body).filter(k => /^camera\d+Image$/.test(k))) {
+    const uri = body[key];
+    if (uri === undefined) continue;
+    const n = parseInt(key.match(/\d+/)[0]);
+    if (keepExisting && bill.imageOf(stage, n)) continue;
+    let previous;
+    if (uri) {
+      const camera = uploadCamera(bill, key, n);
+      previous = bill.setImage(await imageStore.saveDataUri(uri, {
+        billNo: bill.billNo, stage, camera, role: billCamera(bill, camera)?.role, weight: stageWeight(bill, stage), source: 'upload'
+      }));
+    } else {
+      previous = bill.removeImage(stage, n);
+    }
+    if (previous) replaced.push(previous);
+  }
+  return replaced;
+}
+
+// Plate recognition on a weighing's snapshots: the read is stored on the bill with whether
+// it matches the vehicle no. typed; a mismatch is logged (and flagged once the bill completes)
+async function readPlate(bill, snapshots, stage) {
+  const read = await plateRecognizer.recognize(snapshots);
+  if (!read) return null;
+  const entry = bill.setPlateRead(plateRecognizer.entry(stage, read, bill.vehicleNo));
+  if (entry.match === false) {
+    console.warn(`Bill #${bill.displayNo()} ${stage}: camera ${entry.camera} read plate ${entry.text} (${Math.round(entry.confidence * 100)}%), bill has ${bill.vehicleNo}`);
+  }
+  return entry;
+}
+
+// Bill paths the tariff depends on — a change re-quotes the charges
+const TARIFF_INPUTS = ['vehicleNo', 'material', 'grossWeight.value', 'tareWeight.value'];
+
+// Tariff engine: quote the bill's charges again (nothing happens while the tariff mode is off)
+async function requoteCharges(bill) {
+  const quote = await quoteCharges(bill);
+  if (quote.mode === 'off') return null;
+  bill.applyTariff(quote);
+  return quote;
+}
+
+// Bill paths the anomaly rules depend on — a change evaluates the bill again
+const ANOMALY_INPUTS = ['vehicleNo', 'status', 'grossWeight.value', 'tareWeight.value', 'tareWeight.source'];
+
+// Anomaly rules: evaluate the bill again and replace its flags (none unless completed).
+// Returns the flags it did not have before — publish them as `flagged` once saved.
+async function flagAnomalies(bill) {
+  const previous = bill.flags || [];
+  const flags = bill.status === 'completed' ? await anomalyRules.evaluate(bill) : [];
+  flags.forEach(f => {
+    const kept = previous.find(p => p.rule === f.rule);
+    if (kept) f.at = kept.at;
+  });
+  bill.flags = flags;
+  return flags.filter(f => !previous.some(p => p.rule === f.rule));
+}
+
+function publishFlags(bill, flags) {
+  if (!flags.length) return;
+  console.warn(`Bill #${bill.displayNo()} flagged: ${flags.map(f => f.message).join('; ')}`);
+  billEvents.publish('flagged', bill, { flags });
+}
+
+// Charges typed by the operator that differ from the tariff are an override: they need
+// body `chargeReason`, and X-Supervisor-Key as well while the tariff is enforced.
+// Returns { status, body } when refused.
+function overrideCharges(req, bill, amount) {
+  if (!bill.tariff || (bill.chargeOverride && amount === bill.chargeOverride.amount)) {
+    bill.charges = amount;
+    return null;
+  }
+  const reason = String(req.body.chargeReason || '').trim();
+  if (amount !== bill.tariff.amount) {
+    if (!reason) {
+      return { status: 400, body: { error: `Charges ${amount} differ from the tariff (${bill.tariff.amount}) — send chargeReason to override`, tariff: bill.tariff } };
+    }
+    const denied = bill.tariff.mode === 'enforce' && refuseNonSupervisor(req);
+    if (denied) return { status: 403, body: { error: `The tariff is enforced — ${denied}`, tariff: bill.tariff } };
+  }
+  bill.overrideCharges(amount, reason.slice(0, 500), captureOperator(req));
+  return null;
+}
+
+// Open trips older than OPEN_TRIP_MAX_AGE_MINUTES are flagged as overdue
+function openTripMaxAge() {
+  return parseInt(process.env.OPEN_TRIP_MAX_AGE_MINUTES) || 240;
+}
+
+// Queue entry for a bill waiting for its second weighing
+function openTrip(bill, now = Date.now(), maxAge = openTripMaxAge()) {
+  const openedAt = bill.openedAt();
+  const first    = bill.status === 'awaiting_tare' ? 'grossWeight' : 'tareWeight';
+  const dwellMinutes = Math.max(0, Math.floor((now - openedAt) / 60000));
+  return {
+    _id:          bill._id,
+    billNo:       bill.billNo,
+    docNo:        bill.displayNo(),
+    vehicleNo:    bill.vehicleNo,
+    material:     bill.material,
+    customer:     bill.customer,
+    weighbridge:  bill.weighbridge,
+    direction:    bill.direction,
+    status:       bill.status,
+    waitingFor:   bill.status === 'awaiting_tare' ? 'tare' : 'gross',
+    firstWeighing: { type: first === 'grossWeight' ? 'gross' : 'tare', value: bill[first].value, timestamp: bill[first].timestamp },
+    openedAt,
+    dwellMinutes,
+    overdue:      dwellMinutes >= maxAge
+  };
+}
+
+// Weighing sub-document with provenance of the captured value
+function buildWeighing(req, bridge, capture) {
+  const { reading } = capture;
+  return {
+    value:       parseFloat(capture.weight),
+    timestamp:   new Date(),
+    weighbridge: bridge.id,
+    source:      capture.source,
+    rawWeight:   reading.weight,
+    stable:      reading.stable,
+    stability:   { reason: reading.stability.reason, detail: reading.stability.detail },
+    enteredBy:   captureOperator(req)
+  };
+}
 
 // GET all bills with pagination
 router.get('/', async (req, res) => {
   try {
-    const { page = 1, limit = 20, search, date } = req.query;
+    const { page = 1, limit = 20, search, date, bridge, source, direction, status, documentType, orderNo, flagged } = req.query;
     const query = {};
+
+    if (bridge) query.weighbridge = bridge.toUpperCase();
+    if (direction) query.direction = direction;
+    if (documentType) query.documentType = documentType.toUpperCase();
+    if (orderNo) query['order.orderNo'] = orderNo.trim().toUpperCase();
+    if (flagged === 'true') query.flags = { $ne: [] };
+    if (status) {
+      if (!BILL_STATUSES.includes(status)) {
+        return res.status(400).json({ error: `Unknown status "${status}". Use one of: ${BILL_STATUSES.join(', ')}` });
+      }
+      query.status = status;
+    }
+
+    // source=manual matches bills where either weighing came from that source
+    if (source) {
+      if (!WEIGHT_SOURCES.includes(source)) {
+        return res.status(400).json({ error: `Unknown weight source "${source}". Use one of: ${WEIGHT_SOURCES.join(', ')}` });
+      }
+      query.$and = [{ $or: [{ 'grossWeight.source': source }, { 'tareWeight.source': source }] }];
+    }
     
     if (search) {
       query.$or = [
         { vehicleNo: new RegExp(search, 'i') },
+        { docNo: new RegExp(search, 'i') },
         { customer: new RegExp(search, 'i') },
         { material: new RegExp(search, 'i') }
       ];
@@ -55,6 +367,96 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET open trips — bills waiting for the vehicle's second weighing, oldest first (?bridge, ?vehicleNo)
+router.get('/open', async (req, res) => {
+  try {
+    const maxAge = openTripMaxAge();
+    const now    = Date.now();
+    const bills  = await WeighBill.findOpenTrips({ bridge: req.query.bridge, vehicleNo: req.query.vehicleNo });
+    const trips  = bills.map(b => openTrip(b, now, maxAge));
+    res.json({ maxAgeMinutes: maxAge, total: trips.length, overdue: trips.filter(t => t.overdue).length, trips });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET correction requests across bills (?status=pending|approved|rejected, default pending)
+router.get('/corrections', async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!CORRECTION_STATUSES.includes(status)) {
+      return res.status(400).json({ error: `Unknown correction status "${status}". Use one of: ${CORRECTION_STATUSES.join(', ')}` });
+    }
+    const bills = await WeighBill.find({ 'corrections.status': status },
+      { billNo: 1, docNo: 1, vehicleNo: 1, material: 1, customer: 1, grossWeight: 1, tareWeight: 1, netWeight: 1, revision: 1, corrections: 1 })
+      .sort({ billNo: 1 });
+    const corrections = [];
+    bills.forEach(b => b.corrections.filter(c => c.status === status).forEach(c => corrections.push({
+      billId: b._id, billNo: b.billNo, docNo: b.displayNo(), vehicleNo: b.vehicleNo, material: b.material, customer: b.customer,
+      revision: b.revision,
+      current: { grossWeight: b.grossWeight?.value, tareWeight: b.tareWeight?.value, netWeight: b.netWeight },
+      correction: c
+    })));
+    res.json({ status, corrections });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET exceptions report — bills the anomaly rules flagged
+// (?from&to=YYYY-MM-DD, ?rule, ?severity=warning|critical, ?bridge, ?format=csv)
+router.get('/exceptions', async (req, res) => {
+  try {
+    const { from, to, rule, severity, bridge, format } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: 'from / to must be dates (YYYY-MM-DD)' });
+    }
+    if (rule && !anomalyRules.RULE_IDS.includes(rule)) {
+      return res.status(400).json({ error: `Unknown anomaly rule "${rule}". Use one of: ${anomalyRules.RULE_IDS.join(', ')}` });
+    }
+    if (severity && !anomalyRules.SEVERITIES.includes(severity)) {
+      return res.status(400).json({ error: `Unknown severity "${severity}". Use one of: ${anomalyRules.SEVERITIES.join(', ')}` });
+    }
+    const match = {};
+    if (rule) match.rule = rule;
+    if (severity) match.severity = severity;
+    const query = { flags: Object.keys(match).length ? { $elemMatch: match } : { $ne: [] } };
+    if (bridge) query.weighbridge = String(bridge).toUpperCase();
+    if (from || to) {
+      query.dateTime = {};
+      if (from) query.dateTime.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setDate(end.getDate() + 1);
+        query.dateTime.$lt = end;
+      }
+    }
+    const bills = await WeighBill.find(query).sort({ dateTime: -1 });
+    bills.forEach(b => { b.flags = b.flags.filter(f => (!rule || f.rule === rule) && (!severity || f.severity === severity)); });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="exceptions_${from || 'all'}_${to || 'now'}.csv"`);
+      return res.send(anomalyRules.toCSV(bills));
+    }
+    const byRule = {};
+    bills.forEach(b => b.flags.forEach(f => { byRule[f.rule] = (byRule[f.rule] || 0) + 1; }));
+    res.json({
+      from: from || null,
+      to:   to || null,
+      total: bills.length,
+      byRule,
+      bills: bills.map(b => ({
+        _id: b._id, billNo: b.billNo, docNo: b.docNo, dateTime: b.dateTime, status: b.status,
+        vehicleNo: b.vehicleNo, material: b.material, customer: b.customer, weighbridge: b.weighbridge,
+        grossWeight: b.grossWeight?.value, tareWeight: b.tareWeight?.value, netWeight: b.netWeight, flags: b.flags
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // GET single bill
 router.get('/:id', async (req, res) => {
   try {
@@ -66,20 +468,105 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET a bill image (?size=thumb for the thumbnail). Only through the signed `url` /
+// `thumbUrl` the API returns with the bill — `expires` and `sig` are checked.
+router.get('/:id/images/:imageId', async (req, res) => {
+  try {
+    const denied = imageStore.verify(req.params.id, req.params.imageId, req.query);
+    if (denied) return res.status(403).json({ error: denied });
+    const bill  = await WeighBill.findById(req.params.id, { billNo: 1, images: 1 });
+    const image = bill && bill.images.id(req.params.imageId);
+    if (!image) return res.status(404).json({ error: 'Image not found' });
+
+    const { path: file, contentType } = imageStore.locate(image, req.query.size === 'thumb' ? 'thumb' : 'full');
+    res.setHeader('Content-Type', contentType);
+    res.setHeader('Cache-Control', 'private, max-age=3600');
+    res.sendFile(file, err => {
+      if (err && !res.headersSent) res.status(404).json({ error: 'Image file missing' });
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET change history of one bill (?format=csv for a download); also works for purged bills
+router.get('/:id/history', async (req, res) => {
+  try {
+    const entries = await billAudit.history(req.params.id);
+    const bill    = await WeighBill.findById(req.params.id, { billNo: 1, docNo: 1 });
+    const billNo  = bill ? bill.billNo : entries[0]?.billNo;
+    const docNo   = bill ? bill.displayNo() : String(billNo);
+    if (!bill && !entries.length) return res.status(404).json({ error: 'Bill not found' });
+
+    if (req.query.format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="bill_${billNo}_history.csv"`);
+      return res.send(billAudit.toCSV(entries));
+    }
+    res.json({ billId: req.params.id, billNo, docNo, purged: !bill, entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // POST create new bill
 router.post('/', async (req, res) => {
   try {
-    const { vehicleNo, material, customer, charges } = req.body;
-    
+    const { vehicleNo, material, customer, charges, direction, documentType } = req.body;
+
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ error: `Unknown weighbridge "${req.body.bridge}"` });
+    if (direction && !DIRECTIONS.includes(direction)) {
+      return res.status(400).json({ error: `Unknown direction "${direction}". Use one of: ${DIRECTIONS.join(', ')}` });
+    }
+    if (documentType && !billSeries.isDocumentType(documentType)) {
+      return res.status(400).json({ error: `Unknown document type "${documentType}". Use one of: ${billSeries.config.documentTypes.join(', ')}` });
+    }
+
+    const fields = await customFieldValues(req, null);
+    if (fields.error) return res.status(400).json({ error: fields.error });
+
+    // A returning vehicle completes its open bill; a second one needs allowDuplicate: true
+    const allowDuplicate = req.body.allowDuplicate === true || req.body.allowDuplicate === 'true';
+    const [open] = vehicleNo && !allowDuplicate ? await WeighBill.findOpenTrips({ vehicleNo }) : [];
+    if (open) {
+      return res.status(409).json({
+        error: `Vehicle ${open.vehicleNo} already has open bill #${open.displayNo()} waiting for its ${open.status === 'awaiting_tare' ? 'tare' : 'gross'} weighing. Send allowDuplicate: true to open another.`,
+        openBill: openTrip(open)
+      });
+    }
+
     const bill = new WeighBill({
       vehicleNo: vehicleNo?.toUpperCase(),
       material,
       customer,
       charges: parseFloat(charges) || 0,
+      weighbridge: bridge.id,
+      direction: direction || null,
+      documentType: documentType ? documentType.toUpperCase() : null,
+      customFields: fields.values,
       status: 'pending'
     });
-    
+    // The plate suggested for this bridge a moment ago (GET /plate/suggest) is kept with the bill
+    const suggested = plateRecognizer.suggestion(bridge.id);
+    if (suggested) {
+      bill.setPlateRead(plateRecognizer.entry('create', suggested, bill.vehicleNo));
+      plateRecognizer.remember(bridge.id, null);
+    }
+
+    const orderError = await applyOrderRef(bill, req.body);
+    if (orderError) return res.status(400).json({ error: orderError });
+
+    // Tariff on: the computed charge, unless the operator typed a different one with a reason
+    const quote = await requoteCharges(bill);
+    if (quote && charges !== undefined && charges !== null && charges !== '') {
+      const refused = overrideCharges(req, bill, parseFloat(charges) || 0);
+      if (refused) return res.status(refused.status).json(refused.body);
+    }
+
     await bill.save();
+    billEvents.publish('created', bill);
+    await billAudit.record('created', req, null, bill);
     res.status(201).json(bill);
   } catch (err) {
     res.status(400).json({ error: err.message });
@@ -88,88 +575,221 @@ router.post('/', async (req, res) => {
 
 // PATCH capture gross weight
 router.patch('/:id/gross-weight', async (req, res) => {
+  let held = null;
   try {
     const bill = await WeighBill.findById(req.params.id);
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+    const locked = refuseLocked(bill);
+    if (locked) return res.status(409).json(locked);
+
+    const bridge = resolveCaptureBridge(req, bill);
+    if (!bridge) return res.status(400).json({ error: `Unknown weighbridge "${req.body.bridge || req.query.bridge}"` });
 
-    // Weight: prefer body value, then serial stable, then serial current
-    const weightData = serialService.getCurrentWeight();
-    const weight = req.body.weight
-      || (weightData.stableWeight > 0 ? weightData.stableWeight : null)
-      || weightData.weight
-      || 0;
+    // Weight: manual body value, else a stable serial reading (or explicit override)
+    const capture = resolveCaptureWeight(bridge.serial, req.body);
+    if (capture.error) {
+      return res.status(capture.status).json({ error: capture.error, stability: capture.stability });
+    }
+    const blocked = checkPlatform(bridge.serial, capture);
+    if (blocked) return res.status(blocked.status).json({ error: blocked.error, platform: blocked.platform });
+    // Held before any await, so a second request cannot pass checkPlatform meanwhile
+    if (capture.source !== 'manual') capturing.add(held = bridge.serial);
+    const weight = capture.weight;
 
     if (!weight || parseFloat(weight) <= 0) {
       return res.status(400).json({ error: 'No valid weight reading. Use manual override.' });
     }
 
-    bill.grossWeight = { value: parseFloat(weight), timestamp: new Date() };
-    bill.status = 'gross_weighed';
+    bill.grossWeight = buildWeighing(req, bridge, capture);
+    bill.applyWeighings();
+    await requoteCharges(bill);
 
     // Capture camera snapshots — don't block save if cameras fail
+    const replaced = [];
+    let snapshots = [];
     try {
-      const snapshots = await cameraService.captureBoth();
-      if (snapshots.camera1) bill.camera1Image = snapshots.camera1.base64;
-      if (snapshots.camera2) bill.camera2Image = snapshots.camera2.base64;
+      snapshots = await bridge.camera.captureAll();
+      replaced.push(...await storeSnapshots(bill, snapshots, 'gross'));
     } catch (camErr) {
       console.warn('Camera capture failed (non-fatal):', camErr.message);
     }
+    await readPlate(bill, snapshots, 'gross');
 
     // Preserve any images already manually uploaded via frontend
-    if (req.body.camera1Image && !bill.camera1Image) bill.camera1Image = req.body.camera1Image;
-    if (req.body.camera2Image && !bill.camera2Image) bill.camera2Image = req.body.camera2Image;
+    replaced.push(...await storeBodyImages(bill, req.body, 'gross', true));
 
+    const newFlags = await flagAnomalies(bill);
     await bill.save();
+    // Disarm only once the weighing is saved — a failed save leaves the platform armed
+    if (held) held.markCaptured(bill.billNo, bill.grossWeight.value);
+    await imageStore.remove(replaced);
+    billEvents.publish('gross_captured', bill);
+    publishFlags(bill, newFlags);
+    await billAudit.record('gross_captured', req, before, bill);
     res.json(bill);
   } catch (err) {
     console.error('gross-weight error:', err);
     res.status(400).json({ error: err.message });
+  } finally {
+    capturing.delete(held);
   }
 });
 
 // PATCH capture tare weight — calculates net weight
 router.patch('/:id/tare-weight', async (req, res) => {
+  let held = null;
   try {
     const bill = await WeighBill.findById(req.params.id);
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+    const locked = refuseLocked(bill);
+    if (locked) return res.status(409).json(locked);
 
-    if (!bill.grossWeight || !bill.grossWeight.value) {
-      return res.status(400).json({ error: 'Gross weight must be captured first' });
-    }
+    const bridge = resolveCaptureBridge(req, bill);
+    if (!bridge) return res.status(400).json({ error: `Unknown weighbridge "${req.body.bridge || req.query.bridge}"` });
 
-    const weightData = serialService.getCurrentWeight();
-    const weight = req.body.weight
-      || (weightData.stableWeight > 0 ? weightData.stableWeight : null)
-      || weightData.weight
-      || 0;
+    const capture = resolveCaptureWeight(bridge.serial, req.body);
+    if (capture.error) {
+      return res.status(capture.status).json({ error: capture.error, stability: capture.stability });
+    }
+    const blocked = checkPlatform(bridge.serial, capture);
+    if (blocked) return res.status(blocked.status).json({ error: blocked.error, platform: blocked.platform });
+    if (capture.source !== 'manual') capturing.add(held = bridge.serial);
+    const weight = capture.weight;
 
     if (!weight || parseFloat(weight) <= 0) {
       return res.status(400).json({ error: 'No valid weight reading. Use manual override.' });
     }
 
-    const grossVal = parseFloat(bill.grossWeight.value);
-    const tareVal  = parseFloat(weight);
+    bill.tareWeight = buildWeighing(req, bridge, capture);
+    bill.applyWeighings();   // ← explicit net/status, no hook dependency
+    await requoteCharges(bill);
 
-    bill.tareWeight  = { value: tareVal, timestamp: new Date() };
-    bill.netWeight   = grossVal - tareVal;   // ← explicit calculation, no hook dependency
-    bill.status      = 'completed';
+    console.log(`Bill #${bill.billNo} [${bridge.id}] ${bill.direction} — Gross: ${bill.grossWeight.value ?? '--'}, Tare: ${bill.tareWeight.value} (${capture.source}), Net: ${bill.netWeight ?? '--'}`);
 
-    console.log(`Bill #${bill.billNo} — Gross: ${grossVal}, Tare: ${tareVal}, Net: ${bill.netWeight}`);
-
-    // Capture tare-time camera snapshots (non-blocking)
+    // Capture tare-time camera snapshots as the bill's tare image set (non-blocking)
+    const replaced = [];
+    let snapshots = [];
     try {
-      const snapshots = await cameraService.captureBoth();
-      if (snapshots.camera1 && !bill.camera1Image) bill.camera1Image = snapshots.camera1.base64;
-      if (snapshots.camera2 && !bill.camera2Image) bill.camera2Image = snapshots.camera2.base64;
+      snapshots = await bridge.camera.captureAll();
+      replaced.push(...await storeSnapshots(bill, snapshots, 'tare'));
     } catch (camErr) {
       console.warn('Camera capture failed (non-fatal):', camErr.message);
     }
+    await readPlate(bill, snapshots, 'tare');
+
+    // Manual uploads fill the tare cameras that captured nothing
+    replaced.push(...await storeBodyImages(bill, req.body, 'tare', true));
 
+    const newFlags = await flagAnomalies(bill);
     await bill.save();
+    if (held) held.markCaptured(bill.billNo, bill.tareWeight.value);
+    await imageStore.remove(replaced);
+    billEvents.publish('tare_captured', bill);
+    publishFlags(bill, newFlags);
+    await billAudit.record('tare_captured', req, before, bill);
     res.json(bill);
   } catch (err) {
     console.error('tare-weight error:', err);
     res.status(400).json({ error: err.message });
+  } finally {
+    capturing.delete(held);
+  }
+});
+
+// PATCH complete a loaded vehicle with the tare stored on its Vehicle master record
+router.patch('/:id/stored-tare', async (req, res) => {
+  try {
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+    const locked = refuseLocked(bill);
+    if (locked) return res.status(409).json(locked);
+
+    if (!bill.grossWeight || !bill.grossWeight.value) {
+      return res.status(400).json({ error: 'Gross weight must be captured first' });
+    }
+
+    const vehicle = await Vehicle.findOne({ vehicleNo: bill.vehicleNo, active: true });
+    const tare    = vehicle && vehicle.storedTareInfo();
+    if (!tare) return res.status(404).json({ error: `No stored tare for vehicle ${bill.vehicleNo}` });
+    if (tare.expired) {
+      return res.status(409).json({
+        error: `Stored tare for ${bill.vehicleNo} expired on ${tare.validUntil.toISOString().slice(0, 10)}. Weigh the empty vehicle.`,
+        storedTare: tare
+      });
+    }
+    if (tare.value >= bill.grossWeight.value) {
+      return res.status(400).json({ error: `Stored tare ${weightUnits.format(tare.value)} is not below the gross weight ${weightUnits.format(bill.grossWeight.value)}` });
+    }
+
+    bill.tareWeight = {
+      value:       tare.value,
+      timestamp:   new Date(),
+      weighbridge: tare.weighbridge,
+      source:      'stored_tare',
+      enteredBy:   captureOperator(req),
+      storedTare:  { measuredAt: tare.measuredAt, sourceBillNo: tare.sourceBillNo }
+    };
+    bill.applyWeighings();
+    await requoteCharges(bill);
+
+    console.log(`Bill #${bill.billNo} — Gross: ${bill.grossWeight.value}, stored Tare: ${tare.value}, Net: ${bill.netWeight}`);
+
+    const newFlags = await flagAnomalies(bill);
+    await bill.save();
+    billEvents.publish('tare_captured', bill);
+    publishFlags(bill, newFlags);
+    await billAudit.record('tare_captured', req, before, bill);
+    res.json(bill);
+  } catch (err) {
+    console.error('stored-tare error:', err);
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST store a completed bill's empty weighing as the vehicle's stored tare
+router.post('/:id/store-tare', async (req, res) => {
+  try {
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+
+    const tare = bill.tareWeight;
+    if (bill.status !== 'completed' || !tare || !tare.value) {
+      return res.status(400).json({ error: 'Only a completed bill with a tare weighing can refresh a stored tare' });
+    }
+    if (tare.source === 'stored_tare') {
+      return res.status(400).json({ error: 'This bill used a stored tare — store a tare from an actual empty weighing' });
+    }
+
+    const validDays = req.body.validDays !== undefined && req.body.validDays !== ''
+      ? parseInt(req.body.validDays) : undefined;
+    if (validDays !== undefined && !(validDays > 0)) {
+      return res.status(400).json({ error: 'validDays must be a positive number of days' });
+    }
+
+    // Vehicles weighed without a master record get one here
+    const vehicle = await Vehicle.findOne({ vehicleNo: bill.vehicleNo })
+      || new Vehicle({ vehicleNo: bill.vehicleNo });
+    vehicle.active     = true;
+    vehicle.storedTare = {
+      value:        tare.value,
+      measuredAt:   tare.timestamp || bill.updatedAt,
+      validDays:    validDays !== undefined ? validDays : vehicle.storedTare?.validDays ?? null,
+      sourceBillNo: bill.billNo,
+      weighbridge:  tare.weighbridge
+    };
+    await vehicle.save();
+    res.json(vehicle);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
   }
 });
 
@@ -178,87 +798,314 @@ router.patch('/:id', async (req, res) => {
   try {
     const bill = await WeighBill.findById(req.params.id);
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+
+    if (req.body.status === 'cancelled') {
+      return res.status(400).json({ error: 'Cancel a bill with POST /api/bills/:id/cancel' });
+    }
+    const lockedKeys = ['grossWeight', 'tareWeight', 'netWeight'].filter(key => req.body[key] !== undefined);
+    if (req.body.status !== undefined && req.body.status !== bill.status) lockedKeys.push('status');
+    const locked = lockedKeys.length && refuseLocked(bill);
+    if (locked) return res.status(409).json({ ...locked, fields: lockedKeys });
+
+    // Custom fields are checked (required ones too) only when the body sends them
+    if (req.body.customFields !== undefined) {
+      const fields = await customFieldValues(req, bill);
+      if (fields.error) return res.status(400).json({ error: fields.error });
+      bill.customFields = fields.values;
+      bill.markModified('customFields');
+    }
+    const orderError = await applyOrderRef(bill, req.body);
+    if (orderError) return res.status(400).json({ error: orderError });
+
+    const previous = { grossWeight: bill.grossWeight?.value, tareWeight: bill.tareWeight?.value, charges: bill.charges };
 
     // Apply allowed field updates
-    const allowed = ['vehicleNo','material','customer','charges','status',
-                     'camera1Image','camera2Image','printedAt',
+    const allowed = ['vehicleNo','material','customer','charges','status','direction',
+                     'printedAt',
                      'grossWeight','tareWeight','netWeight'];
     allowed.forEach(key => {
-      if (req.body[key] !== undefined) bill[key] = req.body[key];
+      if (req.body[key] === undefined) return;
+      // Weighings are merged so fields not sent (provenance) are kept
+      const isWeighing = key === 'grossWeight' || key === 'tareWeight';
+      bill[key] = isWeighing && req.body[key] && bill[key]
+        ? { ...bill[key].toObject(), ...req.body[key] }
+        : req.body[key];
+    });
+
+    // A weight typed in through this route is a manual entry
+    ['grossWeight', 'tareWeight'].forEach(key => {
+      const edited = req.body[key];
+      if (!edited || edited.value == null) return;
+      bill[key].value = weightUnits.round(parseFloat(bill[key].value));
+      if (bill[key].value === previous[key]) return;
+      bill[key].source    = 'manual';
+      bill[key].enteredBy = captureOperator(req);
+      if (!edited.timestamp) bill[key].timestamp = new Date();
     });
 
-    // Recalculate net weight if both values are present
-    const gross = bill.grossWeight && bill.grossWeight.value;
-    const tare  = bill.tareWeight  && bill.tareWeight.value;
-    if (gross != null && tare != null) {
-      bill.netWeight = parseFloat(gross) - parseFloat(tare);
+    // Edited weights: recalculate net and, unless a status was sent, the status
+    if (req.body.grossWeight || req.body.tareWeight) {
+      const status = bill.status;
+      bill.applyWeighings();
+      if (req.body.status !== undefined) bill.status = status;
+    }
+
+    // Tariff: re-quote when what it depends on changed; a newly typed charge is an override
+    const charges = req.body.charges !== undefined ? (parseFloat(req.body.charges) || 0) : undefined;
+    const chargesEdited = charges !== undefined && charges !== previous.charges;
+    if (chargesEdited || TARIFF_INPUTS.some(p => bill.isModified(p))) {
+      const quote = await requoteCharges(bill);
+      if (quote && chargesEdited) {
+        const refused = overrideCharges(req, bill, charges);
+        if (refused) return res.status(refused.status).json(refused.body);
+      }
+    }
+
+    // Images as data URLs go to the image store (null removes one) as the images of
+    // imageStage (gross by default)
+    const imageStage = req.body.imageStage || 'gross';
+    if (!IMAGE_STAGES.includes(imageStage)) {
+      return res.status(400).json({ error: `Unknown image stage "${imageStage}". Use one of: ${IMAGE_STAGES.join(', ')}` });
     }
+    const replaced = await storeBodyImages(bill, req.body, imageStage);
 
+    const newFlags = ANOMALY_INPUTS.some(p => bill.isModified(p)) ? await flagAnomalies(bill) : [];
     await bill.save();
+    await imageStore.remove(replaced);
+    const imageKeys = Object.keys(req.body).filter(key => /^camera\d+Image$/.test(key));
+    billEvents.publish('updated', bill, { fields: [...allowed, ...imageKeys, 'customFields', 'orderNo', 'expectedNet', 'tolerancePercent'].filter(key => req.body[key] !== undefined) });
+    publishFlags(bill, newFlags);
+    await billAudit.record('updated', req, before, bill);
     res.json(bill);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// DELETE bill
+// POST cancel a bill — it keeps its number, weighings and images; status becomes cancelled
+router.post('/:id/cancel', async (req, res) => {
+  try {
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A cancellation reason is required' });
+
+    bill.cancel(reason.slice(0, 500), captureOperator(req));
+    await bill.save();
+    console.log(`Bill #${bill.billNo} cancelled by ${bill.cancellation.by || 'unknown'}: ${reason}`);
+    billEvents.publish('cancelled', bill);
+    await billAudit.record('cancelled', req, before, bill);
+    res.json(bill);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST request a correction of a completed bill's weights (body: grossWeight?, tareWeight?, reason, operator)
+router.post('/:id/corrections', async (req, res) => {
+  try {
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    if (bill.status !== 'completed') {
+      return res.status(409).json({ error: `Only completed bills need a correction — bill #${bill.displayNo()} is ${bill.status}` });
+    }
+    if (bill.corrections.some(c => c.status === 'pending')) {
+      return res.status(409).json({ error: `Bill #${bill.displayNo()} already has a pending correction` });
+    }
+
+    const reason = String(req.body.reason || '').trim();
+    if (!reason) return res.status(400).json({ error: 'A correction reason is required' });
+
+    const correction = { reason: reason.slice(0, 500), requestedBy: captureOperator(req) };
+    for (const key of ['grossWeight', 'tareWeight']) {
+      if (req.body[key] == null || req.body[key] === '') continue;
+      const value = weightUnits.round(parseFloat(req.body[key]));
+      if (!(value > 0)) return res.status(400).json({ error: `${key} must be a positive weight in kg` });
+      if (value !== bill[key].value) correction[key] = value;
+    }
+    if (correction.grossWeight == null && correction.tareWeight == null) {
+      return res.status(400).json({ error: 'Send a new grossWeight and/or tareWeight that differs from the bill' });
+    }
+
+    bill.corrections.push(correction);
+    await bill.save();
+    billEvents.publish('correction_requested', bill);
+    await billAudit.record('correction_requested', req, before, bill);
+    res.status(201).json(bill);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// POST approve (creates a new revision) or reject a pending correction — supervisor only
+router.post('/:id/corrections/:correctionId/:decision(approve|reject)', async (req, res) => {
+  try {
+    const denied = refuseNonSupervisor(req);
+    if (denied) return res.status(403).json({ error: denied });
+
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
+
+    const correction = bill.corrections.id(req.params.correctionId);
+    if (!correction) return res.status(404).json({ error: 'Correction not found' });
+    if (correction.status !== 'pending') {
+      return res.status(409).json({ error: `Correction was already ${correction.status}` });
+    }
+
+    const supervisor = captureOperator(req);
+    if (!supervisor) return res.status(400).json({ error: 'Supervisor name (operator) is required' });
+    if (correction.requestedBy && supervisor.toLowerCase() === correction.requestedBy.toLowerCase()) {
+      return res.status(403).json({ error: 'A correction cannot be reviewed by the operator who requested it' });
+    }
+    const note = String(req.body.note || '').trim().slice(0, 500) || undefined;
+
+    let newFlags = [];
+    if (req.params.decision === 'approve') {
+      bill.applyCorrection(correction, supervisor, note);
+      await requoteCharges(bill);
+      newFlags = await flagAnomalies(bill);
+    } else {
+      correction.status     = 'rejected';
+      correction.reviewedBy = supervisor;
+      correction.reviewedAt = new Date();
+      correction.reviewNote = note;
+    }
+
+    await bill.save();
+    const action = req.params.decision === 'approve' ? 'corrected' : 'correction_rejected';
+    console.log(`Bill #${bill.billNo} correction ${correction.status} by ${supervisor}${action === 'corrected' ? ` → revision ${bill.revision}, net ${bill.netWeight}` : ''}`);
+    billEvents.publish(action, bill);
+    publishFlags(bill, newFlags);
+    await billAudit.record(action, req, before, bill);
+    res.json(bill);
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// DELETE purge a cancelled bill — admin only (X-Admin-Key must match ADMIN_PURGE_KEY)
 router.delete('/:id', async (req, res) => {
   try {
-    await WeighBill.findByIdAndDelete(req.params.id);
-    res.json({ message: 'Bill deleted' });
+    const key = process.env.ADMIN_PURGE_KEY;
+    if (!key || req.get('X-Admin-Key') !== key) {
+      return res.status(403).json({ error: 'Bills cannot be deleted. Cancel the bill with POST /api/bills/:id/cancel' });
+    }
+    const bill = await WeighBill.findById(req.params.id);
+    if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    if (bill.status !== 'cancelled') {
+      return res.status(409).json({ error: `Bill #${bill.displayNo()} must be cancelled before it can be purged` });
+    }
+
+    await bill.deleteOne();
+    await imageStore.remove(bill.images);
+    console.warn(`Bill #${bill.billNo} purged (cancelled ${bill.cancellation.at?.toISOString()}: ${bill.cancellation.reason})`);
+    billEvents.publish('deleted', bill);
+    await billAudit.record('deleted', req, before, bill);
+    res.json({ message: `Bill #${bill.displayNo()} purged` });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// POST upload camera images manually
-router.post('/:id/images', upload.fields([
-  { name: 'camera1', maxCount: 1 },
-  { name: 'camera2', maxCount: 1 }
-]), async (req, res) => {
+// POST upload camera images manually (multipart: stage gross | tare, camera1, camera2, ... one file per camera)
+router.post('/:id/images', upload.fields(
+  Array.from({ length: MAX_CAMERAS }, (_, i) => ({ name: `camera${i + 1}`, maxCount: 1 }))
+), async (req, res) => {
   try {
     const bill = await WeighBill.findById(req.params.id);
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
+    const cancelled = refuseCancelled(bill);
+    if (cancelled) return res.status(409).json(cancelled);
 
-    if (req.files?.camera1) {
-      const file = req.files.camera1[0];
-      const data = fs.readFileSync(file.path);
-      bill.camera1Image = `data:image/jpeg;base64,${data.toString('base64')}`;
-    }
-    if (req.files?.camera2) {
-      const file = req.files.camera2[0];
-      const data = fs.readFileSync(file.path);
-      bill.camera2Image = `data:image/jpeg;base64,${data.toString('base64')}`;
+    const stage = req.body.stage;
+    if (!IMAGE_STAGES.includes(stage)) return res.status(400).json({ error: `stage must be one of: ${IMAGE_STAGES.join(', ')}` });
+    const files = Object.entries(req.files || {}).map(([key, [file]]) => ({ key, file }));
+    if (!files.length) return res.status(400).json({ error: 'Send an image per camera as camera1, camera2, ...' });
+    const notImage = files.find(f => !f.file.mimetype.startsWith('image/'));
+    if (notImage) return res.status(400).json({ error: `${notImage.key} must be an image, not ${notImage.file.mimetype}` });
+    files.forEach(f => { f.camera = uploadCamera(bill, f.key, f.key.slice('camera'.length)); });
+
+    const replaced = [];
+    for (const { camera, file } of files) {
+      const ref = await imageStore.save(file.buffer, {
+        billNo: bill.billNo, stage, camera, role: billCamera(bill, camera)?.role, weight: stageWeight(bill, stage),
+        source: 'upload', contentType: file.mimetype
+      });
+      const previous = bill.setImage(ref);
+      if (previous) replaced.push(previous);
     }
 
     await bill.save();
+    await imageStore.remove(replaced);
+    billEvents.publish('updated', bill, { fields: ['images'] });
+    await billAudit.record('images_uploaded', req, before, bill);
     res.json(bill);
   } catch (err) {
     res.status(400).json({ error: err.message });
   }
 });
 
-// GET current weight from serial
+// GET number plate on the cameras of a bridge now (?bridge=WB2), to suggest the vehicle no. of a new bill
+router.get('/plate/suggest', async (req, res) => {
+  try {
+    const bridge = bridgeService.resolve(req.query.bridge);
+    if (!bridge) return res.status(404).json({ error: `Unknown weighbridge "${req.query.bridge}"` });
+    if (!plateRecognizer.enabled()) return res.json({ enabled: false, plate: null });
+    const read = await plateRecognizer.recognize(await bridge.camera.captureAll());
+    plateRecognizer.remember(bridge.id, read);
+    res.json({ enabled: true, bridge: bridge.id, plate: read && { ...read, confident: plateRecognizer.confident(read) } });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET current weight from serial (?bridge=WB2, default bridge otherwise)
 router.get('/serial/weight', (req, res) => {
-  res.json(serialService.getCurrentWeight());
+  const bridge = bridgeService.resolve(req.query.bridge);
+  if (!bridge) return res.status(404).json({ error: `Unknown weighbridge "${req.query.bridge}"` });
+  res.json(bridge.serial.getCurrentWeight());
+});
+
+// GET configured weighbridges with their serial status
+router.get('/serial/bridges', (req, res) => {
+  res.json(bridgeService.list());
 });
 
 // GET available serial ports
 router.get('/serial/ports', async (req, res) => {
-  const ports = await require('../services/serialService').constructor?.listPorts?.() || [];
+  const ports = await SerialService.listPorts();
   res.json(ports);
 });
 
+// GET available indicator protocol drivers
+router.get('/serial/protocols', (req, res) => {
+  res.json(protocols.listDrivers());
+});
+
 // GET dashboard stats
 router.get('/stats/dashboard', async (req, res) => {
   try {
     const today = new Date();
     today.setHours(0, 0, 0, 0);
     
-    const [totalBills, todayBills, completedToday, totalWeight] = await Promise.all([
+    const [totalBills, todayBills, completedToday, cancelledToday, totalWeight] = await Promise.all([
       WeighBill.countDocuments(),
       WeighBill.countDocuments({ createdAt: { $gte: today } }),
       WeighBill.countDocuments({ status: 'completed', createdAt: { $gte: today } }),
+      WeighBill.countDocuments({ status: 'cancelled', createdAt: { $gte: today } }),
       WeighBill.aggregate([
         { $match: { status: 'completed', createdAt: { $gte: today } } },
         { $group: { _id: null, total: { $sum: '$netWeight' } } }
@@ -269,6 +1116,7 @@ router.get('/stats/dashboard', async (req, res) => {
       totalBills,
       todayBills,
       completedToday,
+      cancelledToday,
       totalWeightToday: totalWeight[0]?.total || 0
     });
   } catch (err) {
@@ -276,4 +1124,83 @@ router.get('/stats/dashboard', async (req, res) => {
   }
 });
 
+// GET audit entries of all bills for inspections (?from&to=YYYY-MM-DD, ?billNo, ?action, ?format=csv)
+router.get('/audit/export', async (req, res) => {
+  try {
+    const { from, to, billNo, action, format } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: 'from / to must be dates (YYYY-MM-DD)' });
+    }
+    if (action && !AUDIT_ACTIONS.includes(action)) {
+      return res.status(400).json({ error: `Unknown action "${action}". Use one of: ${AUDIT_ACTIONS.join(', ')}` });
+    }
+    const entries = await billAudit.find({ from, to, billNo, action });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="bill_audit_${from || 'all'}_${to || 'now'}.csv"`);
+      return res.send(billAudit.toCSV(entries));
+    }
+    res.json({ from: from || null, to: to || null, total: entries.length, entries });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET material-wise net totals of completed bills (?date=YYYY-MM-DD, default today; ?bridge=)
+// Each total is also given in the material's own unit when that unit is a weight.
+// Cancelled bills of the day are listed separately, never counted in the totals.
+router.get('/stats/materials', async (req, res) => {
+  try {
+    const start = req.query.date ? new Date(req.query.date) : new Date();
+    if (isNaN(start)) return res.status(400).json({ error: `Invalid date "${req.query.date}"` });
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const match = { status: 'completed', dateTime: { $gte: start, $lt: end } };
+    if (req.query.bridge) match.weighbridge = String(req.query.bridge).toUpperCase();
+
+    const [rows, materials, cancelled] = await Promise.all([
+      WeighBill.aggregate([
+        { $match: match },
+        { $group: { _id: { $toUpper: '$material' }, bills: { $sum: 1 }, netWeight: { $sum: '$netWeight' } } },
+        { $sort: { netWeight: -1 } }
+      ]),
+      Material.find({}, { name: 1, unit: 1 }),
+      WeighBill.find({ ...match, status: 'cancelled' }, { billNo: 1, docNo: 1, vehicleNo: 1, material: 1, cancellation: 1 }).sort({ billNo: 1 })
+    ]);
+    const unitOf = new Map(materials.map(m => [m.name, m.unit || 'Kg']));
+
+    res.json({
+      date: start.toISOString().slice(0, 10),
+      weight: weightUnits.getConfig(),
+      materials: rows.map(r => {
+        const unit     = unitOf.get(r._id) || 'Kg';
+        const netKg    = weightUnits.round(r.netWeight || 0);
+        const quantity = weightUnits.toMaterialUnit(netKg, unit);
+        return {
+          material:  r._id,
+          bills:     r.bills,
+          netWeight: netKg,
+          display:   weightUnits.format(netKg),
+          unit,
+          quantity   // null when the material is counted in a non-weight unit (Nos, Bag, Litre)
+        };
+      }),
+      cancelled: cancelled.map(b => ({
+        billNo:    b.billNo,
+        docNo:     b.displayNo(),
+        vehicleNo: b.vehicleNo,
+        material:  b.material,
+        reason:    b.cancellation?.reason,
+        by:        b.cancellation?.by,
+        at:        b.cancellation?.at
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 module.exports = router;
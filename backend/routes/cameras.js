@@ -0,0 +1,24 @@
+// routes/cameras.js — Live camera previews (see services/cameraPreview.js)
+const express = require('express');
+const router  = express.Router();
+const bridgeService = require('../services/bridgeService');
+const cameraPreview = require('../services/cameraPreview');
+
+// GET open preview feeds with their viewer and frame counts
+router.get('/previews', (req, res) => {
+  res.json({ previews: cameraPreview.list() });
+});
+
+// GET live MJPEG preview of one camera — <img src="/api/cameras/WB1/1/preview">
+router.get('/:bridge/:camera/preview', (req, res) => {
+  const bridge = bridgeService.get(req.params.bridge);
+  if (!bridge) return res.status(404).json({ error: `Unknown weighbridge "${req.params.bridge}"` });
+  const cam = bridge.camera.camera(parseInt(req.params.camera));
+  if (!cam) return res.status(404).json({ error: `Weighbridge ${bridge.id} has no camera ${req.params.camera}` });
+  if (!cam.stream && !cam.url) {
+    return res.status(409).json({ error: `Camera ${cam.camera} (${cam.role}) of ${bridge.id} has no stream or snapshot URL` });
+  }
+  cameraPreview.serve(bridge, cam.camera, req, res);
+});
+
+module.exports = router;
@@ -1,7 +1,11 @@
-// routes/master.js — Materials & Vehicles master data
+// routes/master.js — Materials, Vehicles, Tariff & custom bill field master data
 const express = require('express');
 const router  = express.Router();
 const mongoose = require('mongoose');
+const tariffService = require('../services/tariffService');
+const { TARIFF_MODES, MATERIAL_PER } = tariffService;
+const customFields = require('../services/customFields');
+const { FIELD_TYPES } = customFields;
 
 // ── MATERIAL MODEL ─────────────────────────────────────────────────────────
 const MaterialSchema = new mongoose.Schema({
@@ -18,10 +22,105 @@ const VehicleSchema = new mongoose.Schema({
   contactNumber: { type: String, trim: true, default: '' },
   vehicleType:   { type: String, trim: true, default: '' },
   ownerName:     { type: String, trim: true, default: '' },
+  // Empty weight kept for single-pass weighing (see PATCH /api/bills/:id/stored-tare)
+  storedTare: {
+    value:        { type: Number, default: null },
+    measuredAt:   { type: Date, default: null },
+    validDays:    { type: Number, default: null },   // null → STORED_TARE_VALID_DAYS
+    sourceBillNo: { type: Number, default: null },
+    weighbridge:  { type: String, default: null }
+  },
   active:        { type: Boolean, default: true }
 }, { timestamps: true });
+
+// ── Stored tare with its expiry: { value, measuredAt, validUntil, expired, ... } or null
+VehicleSchema.methods.storedTareInfo = function (now = new Date()) {
+  const t = this.storedTare;
+  if (!t || t.value == null || !t.measuredAt) return null;
+  const days = t.validDays != null ? t.validDays : (parseInt(process.env.STORED_TARE_VALID_DAYS) || 30);
+  const validUntil = new Date(t.measuredAt.getTime() + days * 24 * 60 * 60 * 1000);
+  return {
+    value:        t.value,
+    measuredAt:   t.measuredAt,
+    validDays:    days,
+    validUntil,
+    expired:      now > validUntil,
+    sourceBillNo: t.sourceBillNo,
+    weighbridge:  t.weighbridge
+  };
+};
+VehicleSchema.set('toJSON', {
+  transform: (doc, ret) => { ret.storedTareInfo = doc.storedTareInfo(); return ret; }
+});
 const Vehicle = mongoose.model('Vehicle', VehicleSchema);
 
+// ── TARIFF MODEL ───────────────────────────────────────────────────────────
+// One document for the site (_id 'site'); rules are explained in services/tariffService.js
+const TariffSchema = new mongoose.Schema({
+  _id:      { type: String, default: 'site' },
+  mode:     { type: String, enum: TARIFF_MODES, default: 'off' },
+  baseRate: { type: Number, default: 0, min: 0 },
+  vehicleRates: [{
+    _id: false,
+    vehicleType: { type: String, required: true, uppercase: true, trim: true },
+    rate:        { type: Number, required: true, min: 0 }
+  }],
+  slabs: [{
+    _id: false,
+    upTo: { type: Number, default: null },              // kg of net weight; null = no upper limit
+    rate: { type: Number, required: true, min: 0 }
+  }],
+  materialRates: [{
+    _id: false,
+    material: { type: String, required: true, uppercase: true, trim: true },
+    rate:     { type: Number, required: true, min: 0 },
+    per:      { type: String, enum: MATERIAL_PER, default: 'bill' }   // unit = per Material.unit of net
+  }],
+  secondWeighingSurcharge: { type: Number, default: 0, min: 0 },
+  nightShift: {
+    start:          { type: String, default: '22:00' },
+    end:            { type: String, default: '06:00' },
+    premiumPercent: { type: Number, default: 0, min: 0 }
+  },
+  updatedBy: { type: String, trim: true, default: null }
+}, { timestamps: true });
+
+// ── The site tariff, or the defaults (mode off) when none was saved yet
+TariffSchema.statics.current = async function () {
+  return (await this.findById('site')) || new this();
+};
+const Tariff = mongoose.model('Tariff', TariffSchema);
+
+// ── CUSTOM FIELD MODEL ─────────────────────────────────────────────────────
+// Extra fields an admin adds to bills; see services/customFields.js
+const CustomFieldSchema = new mongoose.Schema({
+  key:           { type: String, required: true, unique: true, lowercase: true, trim: true },
+  label:         { type: String, required: true, trim: true },
+  type:          { type: String, enum: FIELD_TYPES, default: 'text' },
+  options:       { type: [String], default: [] },   // choices of a select field
+  required:      { type: Boolean, default: false },
+  showOnReceipt: { type: Boolean, default: true },
+  showInExport:  { type: Boolean, default: true },
+  order:         { type: Number, default: 0 },
+  active:        { type: Boolean, default: true }
+}, { timestamps: true });
+
+// ── Active definitions in form order (plain objects, as the validator and printer use them)
+CustomFieldSchema.statics.definitions = function () {
+  return this.find({ active: true }).sort({ order: 1, label: 1 }).lean();
+};
+const CustomField = mongoose.model('CustomField', CustomFieldSchema);
+
+// ── Tariff quote for a bill (or a bill being filled in); `given` replaces inputs taken from it
+async function quoteCharges(bill, given = {}) {
+  const [tariff, vehicle, material] = await Promise.all([
+    Tariff.current(),
+    bill.vehicleNo ? Vehicle.findOne({ vehicleNo: String(bill.vehicleNo).toUpperCase() }) : null,
+    bill.material  ? Material.findOne({ name: String(bill.material).trim().toUpperCase() }) : null
+  ]);
+  return tariffService.compute(tariff, { ...tariffService.inputsOf(bill, vehicle, material), ...given });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // MATERIALS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -131,4 +230,107 @@ router.delete('/vehicles/:id', async (req, res) => {
   } catch (err) { res.status(500).json({ error: err.message }); }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// TARIFF
+// ═══════════════════════════════════════════════════════════════════════════
+
+// GET the site tariff
+router.get('/tariff', async (req, res) => {
+  try {
+    res.json(await Tariff.current());
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// PUT replace the site tariff (body: mode, baseRate, vehicleRates, slabs, materialRates,
+// secondWeighingSurcharge, nightShift, operator). Bills already weighed keep their charges.
+router.put('/tariff', async (req, res) => {
+  try {
+    const invalid = tariffService.validate(req.body);
+    if (invalid) return res.status(400).json({ error: invalid });
+    const tariff = await Tariff.current();
+    ['mode', 'baseRate', 'vehicleRates', 'slabs', 'materialRates', 'secondWeighingSurcharge', 'nightShift']
+      .forEach(key => { if (req.body[key] !== undefined) tariff[key] = req.body[key]; });
+    tariff.updatedBy = req.body.operator ? String(req.body.operator).trim().slice(0, 64) : null;
+    await tariff.save();
+    res.json(tariff);
+  } catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+// POST charge the tariff gives for a bill being filled in
+// Body: vehicleNo, material, netWeight?, secondWeighing?, at? (defaults: no net, now)
+router.post('/tariff/quote', async (req, res) => {
+  try {
+    const { vehicleNo, material, netWeight, secondWeighing, at } = req.body;
+    if (at && isNaN(new Date(at))) return res.status(400).json({ error: `Invalid time "${at}"` });
+    const net = netWeight != null && netWeight !== '' ? parseFloat(netWeight) : null;
+    res.json(await quoteCharges(
+      { vehicleNo, material, dateTime: at ? new Date(at) : new Date() },
+      { netWeight: isNaN(net) ? null : net, secondWeighing: secondWeighing === true || secondWeighing === 'true' }
+    ));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CUSTOM FIELDS
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Definition fields taken from the body; key only on create
+function customFieldBody(body) {
+  const def = {};
+  ['label', 'type', 'required', 'showOnReceipt', 'showInExport', 'order', 'active']
+    .forEach(key => { if (body[key] !== undefined) def[key] = body[key]; });
+  if (body.options !== undefined) def.options = customFields.optionsOf(body);
+  return def;
+}
+
+// GET custom field definitions (active only unless ?all=true)
+router.get('/custom-fields', async (req, res) => {
+  try {
+    const filter = req.query.all === 'true' ? {} : { active: true };
+    res.json(await CustomField.find(filter).sort({ order: 1, label: 1 }));
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
+// POST add a custom field (body: label, key?, type, options, required, showOnReceipt, showInExport, order)
+router.post('/custom-fields', async (req, res) => {
+  try {
+    const def = { type: 'text', ...customFieldBody(req.body) };
+    if (!def.label || !String(def.label).trim()) return res.status(400).json({ error: 'Custom field label is required' });
+    const invalid = customFields.validateDefinition(def);
+    if (invalid) return res.status(400).json({ error: invalid });
+    def.key = customFields.keyOf(req.body.key || def.label);
+    if (!def.key) return res.status(400).json({ error: 'Custom field key must contain letters or digits' });
+    res.status(201).json(await CustomField.create(def));
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'A custom field with this key already exists' });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PUT update a custom field — its key stays, so values on existing bills still match
+router.put('/custom-fields/:id', async (req, res) => {
+  try {
+    const field = await CustomField.findById(req.params.id);
+    if (!field) return res.status(404).json({ error: 'Custom field not found' });
+    const def = customFieldBody(req.body);
+    const invalid = customFields.validateDefinition({ ...field.toObject(), ...def });
+    if (invalid) return res.status(400).json({ error: invalid });
+    Object.assign(field, def);
+    res.json(await field.save());
+  } catch (err) { res.status(400).json({ error: err.message }); }
+});
+
+// DELETE custom field (soft delete — bills keep their values)
+router.delete('/custom-fields/:id', async (req, res) => {
+  try {
+    await CustomField.findByIdAndUpdate(req.params.id, { active: false });
+    res.json({ message: 'Custom field deactivated' });
+  } catch (err) { res.status(500).json({ error: err.message }); }
+});
+
 module.exports = router;
+module.exports.Vehicle  = Vehicle;
+module.exports.Material = Material;
+module.exports.Tariff   = Tariff;
+module.exports.CustomField = CustomField;
+module.exports.quoteCharges = quoteCharges;
@@ -0,0 +1,153 @@
+// routes/orders.js — Purchase / sales orders, their balance and the variance report
+const express = require('express');
+const router  = express.Router();
+const Order = require('../models/Order');
+const { ORDER_TYPES, ORDER_STATUSES } = Order;
+const WeighBill = require('../models/WeighBill');
+const orderReconciliation = require('../services/orderReconciliation');
+
+// Order fields taken from the body
+function orderBody(body) {
+  const order = {};
+  ['orderNo', 'type', 'party', 'material', 'notes', 'status'].forEach(key => {
+    if (body[key] !== undefined) order[key] = typeof body[key] === 'string' ? body[key].trim() : body[key];
+  });
+  if (body.quantity !== undefined) order.quantity = parseFloat(body.quantity);
+  if (body.tolerancePercent !== undefined) {
+    order.tolerancePercent = body.tolerancePercent === null || body.tolerancePercent === '' ? null : parseFloat(body.tolerancePercent);
+  }
+  return order;
+}
+
+// Error message for an order sent by the UI, or null
+function invalidOrder(order) {
+  if (order.type !== undefined && !ORDER_TYPES.includes(order.type)) return `Unknown order type "${order.type}". Use one of: ${ORDER_TYPES.join(', ')}`;
+  if (order.status !== undefined && !ORDER_STATUSES.includes(order.status)) return `Unknown order status "${order.status}". Use one of: ${ORDER_STATUSES.join(', ')}`;
+  if (order.quantity !== undefined && !(order.quantity > 0)) return 'quantity must be the ordered weight in kg';
+  if (order.tolerancePercent != null && !(order.tolerancePercent >= 0)) return 'tolerancePercent must be zero or more';
+  return null;
+}
+
+// Order with its delivered total and balance
+function withSummary(order, totals) {
+  return { ...order.toObject(), ...orderReconciliation.summary(order, totals.get(order.orderNo)) };
+}
+
+// GET orders with balance (?status=open|closed, ?search= order no / party / material)
+router.get('/', async (req, res) => {
+  try {
+    const { status, search } = req.query;
+    const filter = {};
+    if (status) filter.status = status;
+    if (search) {
+      const re = new RegExp(search.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+      filter.$or = [{ orderNo: re }, { party: re }, { material: re }];
+    }
+    const orders = await Order.find(filter).sort({ status: -1, createdAt: -1 });
+    const totals = await Order.deliveredTotals(orders.map(o => o.orderNo));
+    res.json(orders.map(o => withSummary(o, totals)));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET variance report: completed bills weighed against an order
+// (?from&to=YYYY-MM-DD, ?orderNo, ?outOfTolerance=true, ?format=csv)
+router.get('/report', async (req, res) => {
+  try {
+    const { from, to, orderNo, outOfTolerance, format } = req.query;
+    if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+      return res.status(400).json({ error: 'from / to must be dates (YYYY-MM-DD)' });
+    }
+    const query = { status: 'completed', order: { $ne: null } };
+    if (orderNo) query['order.orderNo'] = String(orderNo).trim().toUpperCase();
+    if (outOfTolerance === 'true') query['order.withinTolerance'] = false;
+    if (from || to) {
+      query.dateTime = {};
+      if (from) query.dateTime.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setDate(end.getDate() + 1);
+        query.dateTime.$lt = end;
+      }
+    }
+    const bills = await WeighBill.find(query).sort({ dateTime: 1 });
+
+    if (format === 'csv') {
+      res.setHeader('Content-Type', 'text/csv');
+      res.setHeader('Content-Disposition', `attachment; filename="order_variance_${from || 'all'}_${to || 'now'}.csv"`);
+      return res.send(orderReconciliation.toCSV(bills));
+    }
+    res.json({
+      from: from || null,
+      to:   to || null,
+      total:          bills.length,
+      outOfTolerance: bills.filter(b => b.order.withinTolerance === false).length,
+      bills: bills.map(b => ({
+        _id: b._id, billNo: b.billNo, docNo: b.docNo, dateTime: b.dateTime,
+        vehicleNo: b.vehicleNo, material: b.material, customer: b.customer,
+        netWeight: b.netWeight, order: b.order
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// GET one order with its balance and every bill weighed against it
+router.get('/:id', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const [totals, bills] = await Promise.all([
+      Order.deliveredTotals([order.orderNo]),
+      WeighBill.find({ 'order.orderNo': order.orderNo }).sort({ dateTime: 1 })
+    ]);
+    res.json({
+      ...withSummary(order, totals),
+      bills: bills.map(b => ({
+        _id: b._id, billNo: b.billNo, docNo: b.docNo, dateTime: b.dateTime, vehicleNo: b.vehicleNo,
+        status: b.status, netWeight: b.netWeight, order: b.order
+      }))
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// POST create an order (body: orderNo, type, party, material, quantity kg, tolerancePercent, notes)
+router.post('/', async (req, res) => {
+  try {
+    const order = orderBody(req.body);
+    if (!order.orderNo) return res.status(400).json({ error: 'orderNo is required' });
+    if (order.quantity === undefined) return res.status(400).json({ error: 'quantity is required' });
+    const invalid = invalidOrder(order);
+    if (invalid) return res.status(400).json({ error: invalid });
+    res.status(201).json(await Order.create(order));
+  } catch (err) {
+    if (err.code === 11000) return res.status(400).json({ error: 'Order number already exists' });
+    res.status(400).json({ error: err.message });
+  }
+});
+
+// PUT update an order; status closed stops new bills referencing it.
+// The order number stays — bills reference it.
+router.put('/:id', async (req, res) => {
+  try {
+    const order = await Order.findById(req.params.id);
+    if (!order) return res.status(404).json({ error: 'Order not found' });
+    const changes = orderBody(req.body);
+    delete changes.orderNo;
+    const invalid = invalidOrder(changes);
+    if (invalid) return res.status(400).json({ error: invalid });
+    if (changes.status && changes.status !== order.status) changes.closedAt = changes.status === 'closed' ? new Date() : null;
+    Object.assign(order, changes);
+    await order.save();
+    const totals = await Order.deliveredTotals([order.orderNo]);
+    res.json(withSummary(order, totals));
+  } catch (err) {
+    res.status(400).json({ error: err.message });
+  }
+});
+
+module.exports = router;
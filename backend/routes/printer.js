@@ -2,7 +2,12 @@
 const express = require('express');
 const router = express.Router();
 const WeighBill = require('../models/WeighBill');
+const { CustomField } = require('./master');
 const printerService = require('../services/printerService');
+const bridgeService = require('../services/bridgeService');
+const billEvents = require('../services/billEvents');
+const billAudit = require('../services/billAudit');
+const imageStore = require('../services/imageStore');
 
 // Helper: get company settings from env or request body
 function getCompanySettings(body = {}) {
@@ -15,6 +20,32 @@ function getCompanySettings(body = {}) {
   };
 }
 
+// Cameras printed on the receipt — those of the bill's bridge flagged "include on receipt",
+// plus any no longer configured that took images of the bill — and their images, both
+// stages, as data URLs: { cameras: [{ camera, role }], images }
+async function receiptImages(bill) {
+  const bridge     = bridgeService.resolve(bill.weighbridge);
+  const configured = bridge ? bridge.camera.list() : [];
+  const cameras    = configured.filter(c => c.onReceipt).map(c => ({ camera: c.camera, role: c.role }));
+  (bill.images || []).forEach(image => {
+    if (configured.some(c => c.camera === image.camera) || cameras.some(c => c.camera === image.camera)) return;
+    cameras.push({ camera: image.camera, role: image.role || `Camera ${image.camera}` });
+  });
+  cameras.sort((a, b) => a.camera - b.camera);
+
+  const images = await Promise.all((bill.images || [])
+    .filter(image => cameras.some(c => c.camera === image.camera))
+    .map(async image => ({
+      stage:      image.stage,
+      camera:     image.camera,
+      role:       image.role,
+      weight:     image.weight,
+      capturedAt: image.capturedAt,
+      src:        await imageStore.dataUri(image)
+    })));
+  return { cameras, images };
+}
+
 // ── GET /api/printer/preview/:id
 // Returns the HTML receipt for browser preview / window.print()
 router.get('/preview/:id', async (req, res) => {
@@ -23,7 +54,8 @@ router.get('/preview/:id', async (req, res) => {
     if (!bill) return res.status(404).send('<h2>Bill not found</h2>');
 
     const company = getCompanySettings(req.query);
-    const html = printerService.buildBillHTML(bill, company);
+    const { cameras, images } = await receiptImages(bill);
+    const html = printerService.buildBillHTML(bill, company, await CustomField.definitions(), images, cameras);
     res.setHeader('Content-Type', 'text/html; charset=utf-8');
     res.send(html);
   } catch (err) {
@@ -38,14 +70,20 @@ router.post('/print/:id', async (req, res) => {
   try {
     const bill = await WeighBill.findById(req.params.id);
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
+    const before = billAudit.snapshot(bill);
 
     const company = getCompanySettings(req.body);
+    // Body values win, then the printer of the bridge the bill was weighed on
+    const bridge  = bridgeService.get(bill.weighbridge);
+    const bridgePrinter = bridge ? bridge.printer : {};
     const options = {
-      printerType: req.body.printerType,
-      printerName: req.body.printerName,
-      ipHost:      req.body.ipHost,
-      ipPort:      req.body.ipPort ? parseInt(req.body.ipPort) : undefined,
-      copies:      req.body.copies ? parseInt(req.body.copies) : 1
+      printerType: req.body.printerType || bridgePrinter.printerType,
+      printerName: req.body.printerName || bridgePrinter.printerName,
+      ipHost:      req.body.ipHost      || bridgePrinter.ipHost,
+      ipPort:      req.body.ipPort ? parseInt(req.body.ipPort) : bridgePrinter.ipPort,
+      copies:      req.body.copies ? parseInt(req.body.copies) : 1,
+      customFields: await CustomField.definitions(),
+      ...await receiptImages(bill)
     };
 
     const result = await printerService.printBill(bill, company, options);
@@ -53,8 +91,10 @@ router.post('/print/:id', async (req, res) => {
     // Log print event back on the bill (optional)
     bill.printedAt = new Date();
     await bill.save().catch(() => {}); // non-critical
+    billEvents.publish('printed', bill, { copies: options.copies });
+    await billAudit.record('printed', req, before, bill);
 
-    res.json({ success: true, billNo: bill.billNo, ...result });
+    res.json({ success: true, billNo: bill.billNo, docNo: bill.displayNo(), ...result });
   } catch (err) {
     console.error('Print error:', err);
     res.status(500).json({ success: false, error: err.message });
@@ -69,7 +109,8 @@ router.post('/print-html/:id', async (req, res) => {
     if (!bill) return res.status(404).json({ error: 'Bill not found' });
 
     const company = getCompanySettings(req.body);
-    const html = printerService.buildBillHTML(bill, company);
+    const { cameras, images } = await receiptImages(bill);
+    const html = printerService.buildBillHTML(bill, company, await CustomField.definitions(), images, cameras);
     res.json({ success: true, html });
   } catch (err) {
     res.status(500).json({ success: false, error: err.message });
@@ -3,6 +3,18 @@ const express = require('express');
 const router  = express.Router();
 const fs      = require('fs');
 const path    = require('path');
+const protocols = require('../services/protocols');
+const transports = require('../services/transports');
+const StabilityDetector = require('../services/stabilityDetector');
+const PlatformMonitor = require('../services/platformMonitor');
+const bridgeService = require('../services/bridgeService');
+const CameraService = require('../services/cameraService');
+const cameraPreview = require('../services/cameraPreview');
+const frameCapture = require('../services/frameCapture');
+const weightUnits = require('../services/weightUnits');
+const billSeries = require('../services/billSeries');
+const anomalyRules = require('../services/anomalyRules');
+const plateRecognizer = require('../services/plateRecognizer');
 
 const ENV_PATH = path.join(__dirname, '../.env');
 
@@ -20,7 +32,11 @@ function parseEnv(text) {
   return result;
 }
 
+// Values are kept to one line, so no request can smuggle in another key (e.g. PLATE_COMMAND)
 function writeEnv(updates) {
+  updates = Object.fromEntries(Object.entries(updates)
+    .filter(([, v]) => v !== undefined)
+    .map(([k, v]) => [k, String(v).replace(/[\r\n]+/g, ' ')]));
   let text = '';
   try { text = fs.readFileSync(ENV_PATH, 'utf8'); } catch (e) { text = ''; }
   const lines  = text.split('\n');
@@ -38,46 +54,322 @@ function writeEnv(updates) {
   fs.writeFileSync(ENV_PATH, updated.join('\n'), 'utf8');
 }
 
-// GET /api/settings — return current env values (masks passwords)
+// Keys whose values never leave the server (SUPERVISOR_KEY, ADMIN_PURGE_KEY, IMAGE_URL_SECRET, CAMERAn_PASS, ...)
+const SECRET_KEY = /_(KEY|SECRET|PASS|PASSWORD|TOKEN)$/;
+
+// GET /api/settings — return current env values; a secret is only reported as set ('***') or not ('')
 router.get('/', (req, res) => {
   try {
     const text   = fs.existsSync(ENV_PATH) ? fs.readFileSync(ENV_PATH, 'utf8') : '';
     const parsed = parseEnv(text);
-    if (parsed.CAMERA1_PASS) parsed.CAMERA1_PASS = '***';
-    if (parsed.CAMERA2_PASS) parsed.CAMERA2_PASS = '***';
-    res.json({ ok: true, settings: parsed });
+    Object.keys(parsed).forEach(k => { if (SECRET_KEY.test(k)) parsed[k] = parsed[k] ? '***' : ''; });
+    res.json({ ok: true, settings: parsed, weighbridges: bridgeService.list() });
   } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
 });
 
-// POST /api/settings/serial — save + hot-reload serial port immediately
+// Save `updates` (un-prefixed keys) for one weighbridge and mirror them into process.env
+function writeBridgeEnv(bridge, updates) {
+  const prefixed = {};
+  Object.entries(updates).forEach(([k, v]) => { prefixed[bridgeService.envKey(bridge, k)] = v; });
+  writeEnv(prefixed);
+  Object.entries(prefixed).forEach(([k, v]) => { process.env[k] = String(v); });
+}
+
+// POST /api/settings/serial — save + hot-reload the indicator connection immediately
+// Body: { transport, port, baud, host, netPort, protocol, bridge }
+//   transport = serial (port + baud) | tcp (host + netPort) | udp (netPort, optional host filter)
+//   bridge defaults to the first weighbridge
 router.post('/serial', (req, res) => {
   try {
-    const { port, baud } = req.body;
-    if (!port) return res.status(400).json({ ok: false, error: 'port is required' });
-    writeEnv({ SERIAL_PORT: port, BAUD_RATE: baud || '9600' });
-    process.env.SERIAL_PORT = port;
-    process.env.BAUD_RATE   = baud || '9600';
-    // Hot-reload serial port — no server restart needed
-    const serial = require('../services/serialService');
-    serial.initialize(port, parseInt(baud) || 9600);
-    res.json({ ok: true, message: `Connecting to ${port} @ ${baud} baud...` });
+    const { port, baud, host, netPort } = req.body;
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.body.bridge}"` });
+    const transport = req.body.transport || 'serial';
+    const protocol  = req.body.protocol || bridge.serial.protocol || protocols.DEFAULT_PROTOCOL;
+    if (!transports.isTransport(transport)) {
+      return res.status(400).json({ ok: false, error: `Unknown transport "${transport}"` });
+    }
+    if (transport === 'serial' && !port) return res.status(400).json({ ok: false, error: 'port is required' });
+    if (transport === 'tcp' && (!host || !netPort)) {
+      return res.status(400).json({ ok: false, error: 'host and netPort are required for tcp' });
+    }
+    if (transport === 'udp' && !netPort) return res.status(400).json({ ok: false, error: 'netPort is required for udp' });
+    if (!protocols.getDriver(protocol)) {
+      return res.status(400).json({ ok: false, error: `Unknown protocol "${protocol}"` });
+    }
+    const updates = { INDICATOR_TRANSPORT: transport, SERIAL_PROTOCOL: protocol };
+    if (port    !== undefined) updates.SERIAL_PORT    = port;
+    if (baud    !== undefined) updates.BAUD_RATE      = baud || '9600';
+    if (host    !== undefined) updates.INDICATOR_HOST = host;
+    if (netPort !== undefined) updates.INDICATOR_PORT = netPort;
+    writeBridgeEnv(bridge, updates);
+    // Hot-reload indicator connection — no server restart needed
+    bridgeService.reload(bridge.id, { reconnectSerial: true });
+    res.json({ ok: true, message: `${bridge.id}: connecting to ${bridge.serial.endpoint} (${protocol})...` });
   } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
 });
 
-// POST /api/settings/cameras
-router.post('/cameras', (req, res) => {
+// GET /api/settings/captures — recorded frame files available for replay
+router.get('/captures', (req, res) => {
+  try {
+    res.json({ ok: true, captures: frameCapture.listCaptures() });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// POST /api/settings/recording — start/stop writing raw indicator frames to a capture file
+// Body: { bridge, enabled }
+router.post('/recording', (req, res) => {
+  try {
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.body.bridge}"` });
+    const enabled = req.body.enabled === true || req.body.enabled === 'true';
+    writeBridgeEnv(bridge, { RECORD_FRAMES: String(enabled) });
+    bridgeService.reload(bridge.id);
+    const file = bridge.serial.recorder ? bridge.serial.recorder.name : null;
+    res.json({ ok: true, file, message: enabled ? `Recording ${bridge.id} to ${file}` : `Recording on ${bridge.id} stopped.` });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// POST /api/settings/simulation — what feeds the weight while the indicator is unavailable
+// Body: { bridge, source: 'random' | 'replay', file, speed }
+router.post('/simulation', (req, res) => {
+  try {
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.body.bridge}"` });
+    const { source = 'random', file, speed } = req.body;
+    if (!['random', 'replay'].includes(source)) {
+      return res.status(400).json({ ok: false, error: 'source must be random or replay' });
+    }
+    if (source === 'replay' && !frameCapture.resolveCaptureFile(file)) {
+      return res.status(400).json({ ok: false, error: `Capture file "${file}" not found` });
+    }
+    const updates = { SIMULATION_SOURCE: source };
+    if (file  !== undefined) updates.REPLAY_FILE  = path.basename(String(file));
+    if (speed !== undefined) updates.REPLAY_SPEED = speed;
+    writeBridgeEnv(bridge, updates);
+    bridgeService.reload(bridge.id);
+    res.json({ ok: true, message: source === 'replay'
+      ? `${bridge.id} simulation will replay ${updates.REPLAY_FILE || file} at ${speed || 1}x`
+      : `${bridge.id} simulation uses the built-in random walk` });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// POST /api/settings/weighbridge — display name and receipt printer of one weighbridge
+// Body: { bridge, name, printerType, printerName, printerIp, printerPort }
+router.post('/weighbridge', (req, res) => {
+  try {
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.body.bridge}"` });
+    const { name, printerType, printerName, printerIp, printerPort } = req.body;
+    const updates = {};
+    if (name        !== undefined) updates.WEIGHBRIDGE_NAME = name;
+    if (printerType !== undefined) updates.PRINTER_TYPE     = printerType;
+    if (printerName !== undefined) updates.PRINTER_NAME     = printerName;
+    if (printerIp   !== undefined) updates.PRINTER_IP       = printerIp;
+    if (printerPort !== undefined) updates.PRINTER_PORT     = printerPort;
+    writeBridgeEnv(bridge, updates);
+    bridgeService.reload(bridge.id);
+    res.json({ ok: true, message: `Weighbridge ${bridge.id} settings saved.` });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// POST /api/settings/stability — save + apply stability rule immediately
+router.post('/stability', (req, res) => {
   try {
-    const { cam1, cam2, cam1User, cam1Pass, cam2User, cam2Pass } = req.body;
+    const { settleMs, tolerance, toleranceUnit, division, minWeight, useIndicatorFlag } = req.body;
+    if (toleranceUnit !== undefined && !['kg', 'div'].includes(toleranceUnit)) {
+      return res.status(400).json({ ok: false, error: 'toleranceUnit must be kg or div' });
+    }
     const updates = {};
-    if (cam1     !== undefined) updates.CAMERA1_SNAPSHOT = cam1;
-    if (cam2     !== undefined) updates.CAMERA2_SNAPSHOT = cam2;
-    if (cam1User !== undefined) updates.CAMERA1_USER     = cam1User;
-    if (cam1Pass && cam1Pass !== '***') updates.CAMERA1_PASS = cam1Pass;
-    if (cam2User !== undefined) updates.CAMERA2_USER     = cam2User;
-    if (cam2Pass && cam2Pass !== '***') updates.CAMERA2_PASS = cam2Pass;
+    if (settleMs         !== undefined) updates.STABILITY_SETTLE_MS      = settleMs;
+    if (tolerance        !== undefined) updates.STABILITY_TOLERANCE      = tolerance;
+    if (toleranceUnit    !== undefined) updates.STABILITY_TOLERANCE_UNIT = toleranceUnit;
+    if (division         !== undefined) updates.SCALE_DIVISION           = division;
+    if (minWeight        !== undefined) updates.STABILITY_MIN_WEIGHT     = minWeight;
+    if (useIndicatorFlag !== undefined) updates.STABILITY_USE_INDICATOR  = String(useIndicatorFlag);
     writeEnv(updates);
-    Object.entries(updates).forEach(([k, v]) => { process.env[k] = v; });
-    res.json({ ok: true, message: 'Camera settings saved and active.' });
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    if (division !== undefined) weightUnits.configure({ division });
+    const ruleFromEnv = StabilityDetector.ruleFromEnv();
+    let rule = null;
+    bridgeService.all().forEach(b => { rule = b.serial.setStabilityRule(ruleFromEnv); });
+    res.json({ ok: true, message: 'Stability rule saved and active.', rule });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// GET /api/settings/weight — active unit / division / rounding (used by the UI to format weights)
+router.get('/weight', (req, res) => {
+  res.json({ ok: true, weight: weightUnits.getConfig() });
+});
+
+// POST /api/settings/weight — save + apply site weight unit, scale division and rounding
+router.post('/weight', (req, res) => {
+  try {
+    const { unit, division, rounding } = req.body;
+    if (unit !== undefined && !['kg', 't'].includes(unit)) {
+      return res.status(400).json({ ok: false, error: 'unit must be kg or t' });
+    }
+    if (division !== undefined && !(parseFloat(division) > 0)) {
+      return res.status(400).json({ ok: false, error: 'division must be a positive number of kg' });
+    }
+    if (rounding !== undefined && !['nearest', 'down', 'up'].includes(rounding)) {
+      return res.status(400).json({ ok: false, error: 'rounding must be nearest, down or up' });
+    }
+    const updates = {};
+    if (unit     !== undefined) updates.WEIGHT_UNIT     = unit;
+    if (division !== undefined) updates.SCALE_DIVISION  = division;
+    if (rounding !== undefined) updates.WEIGHT_ROUNDING = rounding;
+    writeEnv(updates);
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    weightUnits.configure({ unit, division, rounding });
+    // The stability rule counts divisions too
+    if (division !== undefined) {
+      const ruleFromEnv = StabilityDetector.ruleFromEnv();
+      bridgeService.all().forEach(b => b.serial.setStabilityRule(ruleFromEnv));
+    }
+    res.json({ ok: true, message: 'Weight settings saved and active.', weight: weightUnits.getConfig() });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// GET /api/settings/bill-numbers — bill number series config with a sample number
+router.get('/bill-numbers', (req, res) => {
+  res.json({ ok: true, billNumbers: billSeries.getConfig() });
+});
+
+// POST /api/settings/bill-numbers — save + apply the series config; affects bills created from now on
+// Body: { format, scope, reset, fyStartMonth, documentTypes (array or comma list) }
+router.post('/bill-numbers', (req, res) => {
+  try {
+    const { format, scope, reset, fyStartMonth } = req.body;
+    const documentTypes = Array.isArray(req.body.documentTypes) ? req.body.documentTypes.join(',') : req.body.documentTypes;
+    const invalid = billSeries.validate({ format, scope, reset, fyStartMonth });
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const updates = {};
+    if (format        !== undefined) updates.BILL_NUMBER_FORMAT  = String(format).trim();
+    if (scope         !== undefined) updates.BILL_SERIES_SCOPE   = scope;
+    if (reset         !== undefined) updates.BILL_SERIES_RESET   = reset;
+    if (fyStartMonth  !== undefined) updates.FY_START_MONTH      = parseInt(fyStartMonth);
+    if (documentTypes !== undefined) updates.BILL_DOCUMENT_TYPES = String(documentTypes).toUpperCase().replace(/\s+/g, '');
+    writeEnv(updates);
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    billSeries.configure({ format, scope, reset, fyStartMonth, documentTypes });
+    res.json({ ok: true, message: 'Bill numbering saved — applies to new bills.', billNumbers: billSeries.getConfig() });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// GET /api/settings/anomalies — anomaly rules that run on completed bills and their thresholds
+router.get('/anomalies', (req, res) => {
+  res.json({ ok: true, anomalies: anomalyRules.getConfig() });
+});
+
+// POST /api/settings/anomalies — save + apply the rules; bills are evaluated with them from now on
+// Body: { rules (array or comma list, empty = none), minNetKg, repeatMinutes, tareDeviationPercent, tareSamples, tareMinSamples }
+router.post('/anomalies', (req, res) => {
+  try {
+    const { minNetKg, repeatMinutes, tareDeviationPercent, tareSamples, tareMinSamples } = req.body;
+    const rules = Array.isArray(req.body.rules) ? req.body.rules.join(',') : req.body.rules;
+    const invalid = anomalyRules.validate({ rules, minNetKg, repeatMinutes, tareDeviationPercent, tareSamples, tareMinSamples });
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const updates = {};
+    if (rules                !== undefined) updates.ANOMALY_RULES                  = String(rules).replace(/\s+/g, '');
+    if (minNetKg             !== undefined) updates.ANOMALY_MIN_NET_KG             = parseFloat(minNetKg);
+    if (repeatMinutes        !== undefined) updates.ANOMALY_REPEAT_MINUTES         = parseFloat(repeatMinutes);
+    if (tareDeviationPercent !== undefined) updates.ANOMALY_TARE_DEVIATION_PERCENT = parseFloat(tareDeviationPercent);
+    if (tareSamples          !== undefined) updates.ANOMALY_TARE_SAMPLES           = parseInt(tareSamples);
+    if (tareMinSamples       !== undefined) updates.ANOMALY_TARE_MIN_SAMPLES       = parseInt(tareMinSamples);
+    writeEnv(updates);
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    anomalyRules.configure({ rules, minNetKg, repeatMinutes, tareDeviationPercent, tareSamples, tareMinSamples });
+    res.json({ ok: true, message: 'Anomaly rules saved — applies to bills completed from now on.', anomalies: anomalyRules.getConfig() });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// GET /api/settings/plate — number plate recognizer
+router.get('/plate', (req, res) => {
+  res.json({ ok: true, plate: plateRecognizer.getConfig() });
+});
+
+// POST /api/settings/plate — save + apply the plate recognizer; used from the next weighing
+// Body: { recognizer (off | command | http), url, httpField, timeoutMs, minConfidence (0–1), cameras ("1,3", empty = all) }
+// PLATE_COMMAND is run on the server, so it is only ever read from .env — never taken from a request
+router.post('/plate', (req, res) => {
+  try {
+    if (req.body.command !== undefined) {
+      return res.status(400).json({ ok: false, error: 'The plate command can only be set as PLATE_COMMAND in backend/.env' });
+    }
+    const { recognizer, url, httpField, timeoutMs, minConfidence } = req.body;
+    const cameras = Array.isArray(req.body.cameras) ? req.body.cameras.join(',') : req.body.cameras;
+    const invalid = plateRecognizer.validate({ recognizer, url, httpField, timeoutMs, minConfidence, cameras });
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const updates = {};
+    if (recognizer    !== undefined) updates.PLATE_RECOGNIZER     = recognizer;
+    if (url           !== undefined) updates.PLATE_URL            = String(url).trim();
+    if (httpField     !== undefined) updates.PLATE_HTTP_FIELD     = String(httpField).trim();
+    if (timeoutMs     !== undefined) updates.PLATE_TIMEOUT_MS     = parseInt(timeoutMs);
+    if (minConfidence !== undefined) updates.PLATE_MIN_CONFIDENCE = parseFloat(minConfidence);
+    if (cameras       !== undefined) updates.PLATE_CAMERAS        = String(cameras).replace(/\s+/g, '');
+    writeEnv(updates);
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    plateRecognizer.configure({ recognizer, url, httpField, timeoutMs, minConfidence, cameras });
+    res.json({ ok: true, message: 'Plate recognition saved and active.', plate: plateRecognizer.getConfig() });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// POST /api/settings/platform — save + apply return-to-zero / zero-drift rule
+router.post('/platform', (req, res) => {
+  try {
+    const { zeroBand, driftLimit, requireReturn } = req.body;
+    const updates = {};
+    if (zeroBand      !== undefined) updates.PLATFORM_ZERO_BAND    = zeroBand;
+    if (driftLimit    !== undefined) updates.PLATFORM_ZERO_DRIFT   = driftLimit;
+    if (requireReturn !== undefined) updates.PLATFORM_REQUIRE_ZERO = String(requireReturn);
+    writeEnv(updates);
+    Object.entries(updates).forEach(([k, v]) => { process.env[k] = String(v); });
+    const ruleFromEnv = PlatformMonitor.ruleFromEnv();
+    let rule = null;
+    bridgeService.all().forEach(b => { rule = b.serial.setPlatformRule(ruleFromEnv); });
+    res.json({ ok: true, message: 'Platform rule saved and active.', rule });
+  } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
+});
+
+// GET /api/settings/cameras?bridge=WB2 — a weighbridge's camera list (passwords masked)
+router.get('/cameras', (req, res) => {
+  const bridge = bridgeService.resolve(req.query.bridge);
+  if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.query.bridge}"` });
+  res.json({ ok: true, bridge: bridge.id, cameras: bridge.camera.getConfig(), authTypes: CameraService.AUTH_TYPES, maxCameras: CameraService.MAX_CAMERAS, maxPreviewFps: CameraService.MAX_PREVIEW_FPS });
+});
+
+// POST /api/settings/cameras — replace a weighbridge's camera list and apply it
+// Body: { bridge, cameras: [{ camera, role, url, user, pass, auth, timeoutMs, onReceipt, stream, previewFps }] } — camera n
+// is the n-th entry; a blank or '***' pass keeps the password of the camera numbered `camera`
+// before the change (default n), null clears it. `bridge` defaults to the first weighbridge.
+router.post('/cameras', (req, res) => {
+  try {
+    const bridge = bridgeService.resolve(req.body.bridge);
+    if (!bridge) return res.status(400).json({ ok: false, error: `Unknown weighbridge "${req.body.bridge}"` });
+    const { cameras } = req.body;
+    const invalid = CameraService.validateCameras(cameras);
+    if (invalid) return res.status(400).json({ ok: false, error: invalid });
+    const updates = { CAMERA_COUNT: cameras.length };
+    cameras.forEach((cam, i) => {
+      const n = i + 1;
+      updates[`CAMERA${n}_ROLE`]       = String(cam.role || '').trim() || `Camera ${n}`;
+      updates[`CAMERA${n}_SNAPSHOT`]   = String(cam.url || '').trim();
+      updates[`CAMERA${n}_USER`]       = String(cam.user || '').trim();
+      const previous = bridge.camera.camera(parseInt(cam.camera) || n);
+      updates[`CAMERA${n}_PASS`]       = cam.pass === null ? ''
+        : cam.pass && cam.pass !== '***' ? cam.pass
+        : (previous ? previous.pass : '');
+      updates[`CAMERA${n}_AUTH`]       = cam.auth || 'basic';
+      updates[`CAMERA${n}_TIMEOUT_MS`] = parseInt(cam.timeoutMs) || 5000;
+      updates[`CAMERA${n}_ON_RECEIPT`] = String(cam.onReceipt !== false);
+      updates[`CAMERA${n}_STREAM`]     = String(cam.stream || '').trim();
+      updates[`CAMERA${n}_PREVIEW_FPS`] = parseFloat(cam.previewFps) || 2;
+    });
+    writeBridgeEnv(bridge, updates);
+    bridgeService.reload(bridge.id);
+    cameraPreview.restart(bridge.id);
+    res.json({ ok: true, message: `${cameras.length} camera(s) for ${bridge.id} saved and active.`, cameras: bridge.camera.getConfig() });
   } catch (err) { res.status(500).json({ ok: false, error: err.message }); }
 });
 
@@ -11,56 +11,128 @@ const app = express();
 const server = http.createServer(app);
 const wss = new WebSocket.Server({ server });
 
-const serialService  = require('./services/serialService');
+const WeighBill      = require('./models/WeighBill');
+const bridgeService  = require('./services/bridgeService');
+const billEvents     = require('./services/billEvents');
+const imageStore     = require('./services/imageStore');
 const billsRouter    = require('./routes/bills');
 const printerRouter  = require('./routes/printer');
 const masterRouter   = require('./routes/master');
 const settingsRouter = require('./routes/settings');
+const ordersRouter   = require('./routes/orders');
+const camerasRouter  = require('./routes/cameras');
 
 // Middleware
 app.use(cors());
 app.use(express.json({ limit: '50mb' }));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
-app.use('/snapshots', express.static(path.join(__dirname, 'public/snapshots')));
 app.use(express.static(path.join(__dirname, '../frontend/public')));
 
 // MongoDB Connection
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017/weighbridge';
 mongoose.connect(MONGODB_URI)
-  .then(() => console.log('✅ MongoDB connected:', MONGODB_URI))
+  .then(async () => {
+    console.log('✅ MongoDB connected:', MONGODB_URI);
+    const migrated = await WeighBill.migrateLegacyStatuses();
+    if (migrated) console.log(`🔄 Updated status of ${migrated} bill(s) from an earlier version`);
+    const images = await WeighBill.migrateInlineImages();
+    if (images.bills) console.log(`🔄 Moved ${images.images} inline image(s) of ${images.bills} bill(s) to ${imageStore.dir}`);
+    if (images.failed) console.warn(`⚠️  ${images.failed} inline image(s) could not be moved — left on the bill`);
+  })
   .catch(err => console.error('❌ MongoDB error:', err.message));
 
-// WebSocket for live weight streaming
-wss.on('connection', (ws) => {
-  console.log('WebSocket client connected');
-  serialService.addWSClient(ws);
-  
+// Initialize one serial channel per weighbridge
+bridgeService.initialize();
+
+// WebSocket — live weight of one weighbridge plus optional bill event topics
+// (ws://host/?bridge=WB2&topics=weight,bills&since=42&epoch=... or subscribe messages)
+function parseTopics(list) {
+  const raw = Array.isArray(list) ? list : String(list || '').split(',');
+  return raw.map(t => billEvents.parseTopic(t)).filter(Boolean);
+}
+
+// Topic changes for one client; `weight` maps onto the bridge subscription
+function applyTopics(ws, add, remove, bridgeId) {
+  if (add.includes('weight')) bridgeService.subscribe(ws, bridgeId || bridgeService.clientBridge.get(ws));
+  if (remove.includes('weight')) bridgeService.unsubscribe(ws);
+  billEvents.subscribe(ws, add.filter(t => t !== 'weight'));
+  billEvents.unsubscribe(ws, remove.filter(t => t !== 'weight'));
+  const topics = billEvents.topicsOf(ws);
+  return bridgeService.clientBridge.has(ws) ? ['weight', ...topics] : topics;
+}
+
+// Send bill events missed since `since`, or ask the client to reload
+function resumeEvents(ws, since, epoch) {
+  if (since === undefined || since === null || since === '') return;
+  const result = billEvents.replay(ws, since, epoch);
+  if (result.resync) {
+    ws.send(JSON.stringify({ type: 'resync', reason: result.resync, epoch: billEvents.epoch, seq: billEvents.seq }));
+    return;
+  }
+  result.events.forEach(e => ws.send(JSON.stringify(e)));
+}
+
+wss.on('connection', (ws, req) => {
+  const params    = new URL(req.url, 'http://localhost').searchParams;
+  const requested = params.get('bridge');
+  const topics    = params.has('topics') ? parseTopics(params.get('topics')) : ['weight'];
+  const bridge    = bridgeService.resolve(requested) || bridgeService.getDefault();
+  const active    = applyTopics(ws, topics, [], bridge.id);
+  console.log(`WebSocket client connected → ${bridge.id} [${active.join(', ')}]`);
+  ws.send(JSON.stringify({
+    type: 'subscribed', bridge: bridge.id, bridges: bridgeService.list(),
+    topics: active, epoch: billEvents.epoch, seq: billEvents.seq
+  }));
+  resumeEvents(ws, params.get('since'), params.get('epoch'));
+
   ws.on('message', (msg) => {
     try {
       const data = JSON.parse(msg);
       // Handle commands from frontend
       if (data.type === 'ping') ws.send(JSON.stringify({ type: 'pong' }));
+      if (data.type === 'subscribe' && data.bridge) {
+        const target = bridgeService.subscribe(ws, data.bridge);
+        ws.send(JSON.stringify(target
+          ? { type: 'subscribed', bridge: target.id }
+          : { type: 'error', error: `Unknown weighbridge "${data.bridge}"` }));
+      }
+      if (data.type === 'subscribe' && data.topics) {
+        const active = applyTopics(ws, parseTopics(data.topics), []);
+        ws.send(JSON.stringify({ type: 'topics', topics: active, epoch: billEvents.epoch, seq: billEvents.seq }));
+        resumeEvents(ws, data.since, data.epoch);
+      }
+      if (data.type === 'unsubscribe') {
+        const active = applyTopics(ws, [], parseTopics(data.topics));
+        ws.send(JSON.stringify({ type: 'topics', topics: active, epoch: billEvents.epoch, seq: billEvents.seq }));
+      }
     } catch (e) {}
   });
-});
 
-// Initialize serial port
-const SERIAL_PORT = process.env.SERIAL_PORT || '/dev/ttyUSB0';
-const BAUD_RATE = process.env.BAUD_RATE || 9600;
-serialService.initialize(SERIAL_PORT, BAUD_RATE);
+  ws.on('close', () => {
+    bridgeService.unsubscribe(ws);
+    billEvents.unsubscribe(ws);
+  });
+});
 
 // API Routes
 app.use('/api/bills',    billsRouter);
 app.use('/api/printer',  printerRouter);
 app.use('/api/master',   masterRouter);
 app.use('/api/settings', settingsRouter);
+app.use('/api/orders',   ordersRouter);
+app.use('/api/cameras',  camerasRouter);
 
 // Health check
 app.get('/api/health', (req, res) => {
+  const weighbridges = bridgeService.getHealth();
   res.json({
     status: 'ok',
     mongodb: mongoose.connection.readyState === 1 ? 'connected' : 'disconnected',
-    serialPort: serialService.isConnected,
+    serialPort: bridgeService.getDefault().serial.isConnected,
+    serialFrames: bridgeService.getDefault().serial.getFrameStats(),
+    weighbridges,
+    warnings: weighbridges.flatMap(b => b.warnings.map(w => ({ bridge: b.id, ...w }))),
+    billEvents: billEvents.getInfo(),
     uptime: process.uptime()
   });
 });
@@ -0,0 +1,238 @@
+// services/anomalyRules.js — Suspicious weighing checks run on every completed bill
+//
+// Each rule looks at a completed bill — and, where it needs them, the vehicle's other
+// bills — and raises a flag or nothing. The routes store the flags on the bill
+// (bill.flags, replaced at every evaluation), publish new ones as a `flagged` bill
+// event and list flagged bills in GET /api/bills/exceptions.
+//
+//   net_not_positive  gross − tare is at or below ANOMALY_MIN_NET_KG: the tare is heavier
+//                     than the gross, or an empty vehicle was billed as loaded
+//   repeat_weighing   the vehicle was weighed on another bill within ANOMALY_REPEAT_MINUTES
+//   tare_deviation    the tare differs from the median of the vehicle's last ANOMALY_TARE_SAMPLES
+//                     tares by more than ANOMALY_TARE_DEVIATION_PERCENT (checked once the
+//                     vehicle has ANOMALY_TARE_MIN_SAMPLES earlier tares; stored tares do not count)
+//   plate_mismatch    a camera read a different plate at the gross or tare weighing than the bill's
+//                     vehicle no. (services/plateRecognizer.js; reads under PLATE_MIN_CONFIDENCE do not count)
+//
+// ANOMALY_RULES lists the rules that run (comma separated; default all, empty = none).
+
+const WeighBill   = require('../models/WeighBill');
+const weightUnits = require('./weightUnits');
+const csv         = require('./csv');
+const plateRecognizer = require('./plateRecognizer');
+
+const SEVERITIES = ['warning', 'critical'];
+
+const DEFAULTS = {
+  minNetKg:             0,
+  repeatMinutes:        10,
+  tareDeviationPercent: 5,
+  tareSamples:          10,
+  tareMinSamples:       3
+};
+
+function minutes(ms) {
+  return Math.round(ms / 60000 * 10) / 10;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+}
+
+// Times of a bill's weighings
+function weighingTimes(bill) {
+  return [bill.grossWeight, bill.tareWeight]
+    .filter(w => w && w.value > 0 && w.timestamp)
+    .map(w => new Date(w.timestamp).getTime());
+}
+
+const RULES = [
+  {
+    id: 'net_not_positive',
+    label: 'Net weight zero or negative',
+    severity: 'critical',
+    check(bill, ctx, cfg) {
+      const signed = weightUnits.round(bill.grossWeight.value - bill.tareWeight.value);
+      if (signed > cfg.minNetKg) return null;
+      return {
+        message: signed < 0
+          ? `Tare ${weightUnits.format(bill.tareWeight.value)} is heavier than gross ${weightUnits.format(bill.grossWeight.value)}`
+          : `Gross minus tare is ${weightUnits.format(signed)} (limit ${weightUnits.format(cfg.minNetKg)})`,
+        detail: { grossWeight: bill.grossWeight.value, tareWeight: bill.tareWeight.value, signedNet: signed, minNetKg: cfg.minNetKg }
+      };
+    }
+  },
+  {
+    id: 'repeat_weighing',
+    label: 'Vehicle weighed twice within minutes',
+    severity: 'warning',
+    check(bill, ctx, cfg) {
+      const own = weighingTimes(bill);
+      const window = cfg.repeatMinutes * 60000;
+      let closest = null;
+      (ctx.nearbyBills || []).forEach(other => {
+        weighingTimes(other).forEach(t => own.forEach(o => {
+          const gap = Math.abs(t - o);
+          if (gap <= window && (!closest || gap < closest.gap)) closest = { other, gap };
+        }));
+      });
+      if (!closest) return null;
+      const otherNo = closest.other.docNo || closest.other.billNo;
+      return {
+        message: `${bill.vehicleNo} was also weighed on bill #${otherNo} ${minutes(closest.gap)} min apart`,
+        detail: { otherBillId: String(closest.other._id), otherBillNo: closest.other.billNo, otherDocNo: closest.other.docNo || null,
+                  gapMinutes: minutes(closest.gap), windowMinutes: cfg.repeatMinutes }
+      };
+    }
+  },
+  {
+    id: 'tare_deviation',
+    label: 'Tare far from the vehicle\'s usual tare',
+    severity: 'warning',
+    check(bill, ctx, cfg) {
+      const tares = (ctx.tareHistory || []).map(b => b.tareWeight.value).filter(v => v > 0);
+      if (bill.tareWeight.source === 'stored_tare' || tares.length < cfg.tareMinSamples) return null;
+      const usual = weightUnits.round(median(tares));
+      const deviationPercent = Math.round((bill.tareWeight.value - usual) / usual * 10000) / 100;
+      if (Math.abs(deviationPercent) <= cfg.tareDeviationPercent) return null;
+      return {
+        message: `Tare ${weightUnits.format(bill.tareWeight.value)} is ${deviationPercent > 0 ? '+' : ''}${deviationPercent}% off the usual ${weightUnits.format(usual)} (last ${tares.length} tares)`,
+        detail: { tareWeight: bill.tareWeight.value, medianTare: usual, deviationPercent, samples: tares.length, limitPercent: cfg.tareDeviationPercent }
+      };
+    }
+  },
+  {
+    id: 'plate_mismatch',
+    label: 'Camera read a different number plate',
+    severity: 'warning',
+    check(bill) {
+      const reads = (bill.plateReads || [])
+        .filter(r => r.stage !== 'create' && plateRecognizer.matches(r, bill.vehicleNo) === false);
+      if (!reads.length) return null;
+      return {
+        message: `Camera read ${reads.map(r => `${r.text} at ${r.stage} (${Math.round(r.confidence * 100)}%)`).join(', ')} — bill has ${bill.vehicleNo}`,
+        detail: { vehicleNo: bill.vehicleNo, reads: reads.map(r => ({ stage: r.stage, text: r.text, confidence: r.confidence, camera: r.camera })) }
+      };
+    }
+  }
+];
+
+const RULE_IDS = RULES.map(r => r.id);
+
+const CSV_COLUMNS = ['billNo', 'dateTime', 'status', 'vehicleNo', 'material', 'customer', 'bridge', 'netWeight', 'rule', 'severity', 'message', 'flaggedAt'];
+
+class AnomalyRules {
+  constructor() {
+    this.configure(AnomalyRules.configFromEnv());
+  }
+
+  static configFromEnv(env = process.env) {
+    const cfg = {};
+    if (env.ANOMALY_RULES !== undefined)    cfg.rules                = env.ANOMALY_RULES;
+    if (env.ANOMALY_MIN_NET_KG)             cfg.minNetKg             = env.ANOMALY_MIN_NET_KG;
+    if (env.ANOMALY_REPEAT_MINUTES)         cfg.repeatMinutes        = env.ANOMALY_REPEAT_MINUTES;
+    if (env.ANOMALY_TARE_DEVIATION_PERCENT) cfg.tareDeviationPercent = env.ANOMALY_TARE_DEVIATION_PERCENT;
+    if (env.ANOMALY_TARE_SAMPLES)           cfg.tareSamples          = env.ANOMALY_TARE_SAMPLES;
+    if (env.ANOMALY_TARE_MIN_SAMPLES)       cfg.tareMinSamples       = env.ANOMALY_TARE_MIN_SAMPLES;
+    return cfg;
+  }
+
+  _ruleList(rules) {
+    const list = Array.isArray(rules) ? rules : String(rules).split(',');
+    return list.map(r => String(r).trim()).filter(Boolean);
+  }
+
+  // ── Error message for a config sent by the UI, else null
+  validate(cfg) {
+    if (cfg.rules !== undefined) {
+      const unknown = this._ruleList(cfg.rules).find(r => !RULE_IDS.includes(r));
+      if (unknown) return `Unknown anomaly rule "${unknown}". Use any of: ${RULE_IDS.join(', ')}`;
+    }
+    if (cfg.minNetKg !== undefined && isNaN(parseFloat(cfg.minNetKg))) return 'minNetKg must be a weight in kg';
+    if (cfg.repeatMinutes !== undefined && !(parseFloat(cfg.repeatMinutes) > 0)) return 'repeatMinutes must be a positive number of minutes';
+    if (cfg.tareDeviationPercent !== undefined && !(parseFloat(cfg.tareDeviationPercent) > 0)) return 'tareDeviationPercent must be a positive percentage';
+    if (cfg.tareSamples !== undefined && !(parseInt(cfg.tareSamples) >= 1)) return 'tareSamples must be 1 or more';
+    if (cfg.tareMinSamples !== undefined && !(parseInt(cfg.tareMinSamples) >= 1)) return 'tareMinSamples must be 1 or more';
+    return null;
+  }
+
+  configure(cfg = {}) {
+    const given  = Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined));
+    const merged = { rules: RULE_IDS, ...DEFAULTS, ...(this.config || {}), ...given };
+    const number = (key, parse) => (isNaN(parse(merged[key])) ? DEFAULTS[key] : parse(merged[key]));
+    this.config = {
+      rules:                this._ruleList(merged.rules).filter(r => RULE_IDS.includes(r)),
+      minNetKg:             number('minNetKg', parseFloat),
+      repeatMinutes:        number('repeatMinutes', parseFloat),
+      tareDeviationPercent: number('tareDeviationPercent', parseFloat),
+      tareSamples:          number('tareSamples', parseInt),
+      tareMinSamples:       number('tareMinSamples', parseInt)
+    };
+    return this.config;
+  }
+
+  enabled(rule) {
+    return rule ? this.config.rules.includes(rule) : this.config.rules.length > 0;
+  }
+
+  // ── The vehicle's other bills the rules compare against
+  async context(bill) {
+    const cfg    = this.config;
+    const own    = weighingTimes(bill);
+    const window = cfg.repeatMinutes * 60000;
+    const others = { _id: { $ne: bill._id }, vehicleNo: bill.vehicleNo };
+    const fields = { billNo: 1, docNo: 1, grossWeight: 1, tareWeight: 1 };
+
+    let nearby = [];
+    if (this.enabled('repeat_weighing') && own.length) {
+      const range = { $gte: new Date(Math.min(...own) - window), $lte: new Date(Math.max(...own) + window) };
+      nearby = WeighBill.find({
+        ...others,
+        status: { $ne: 'cancelled' },
+        $or: [{ 'grossWeight.timestamp': range }, { 'tareWeight.timestamp': range }]
+      }, fields);
+    }
+    const history = this.enabled('tare_deviation')
+      ? WeighBill.find({ ...others, status: 'completed', 'tareWeight.value': { $gt: 0 }, 'tareWeight.source': { $ne: 'stored_tare' } }, fields)
+        .sort({ 'tareWeight.timestamp': -1 }).limit(cfg.tareSamples)
+      : [];
+    const [nearbyBills, tareHistory] = await Promise.all([nearby, history]);
+    return { nearbyBills, tareHistory };
+  }
+
+  // ── Flags of a completed bill with a given context: [{ rule, severity, message, detail, at }]
+  check(bill, ctx = {}) {
+    const at = new Date();
+    return RULES
+      .filter(rule => this.enabled(rule.id))
+      .map(rule => {
+        const hit = rule.check(bill, ctx, this.config);
+        return hit && { rule: rule.id, severity: rule.severity, message: hit.message, detail: hit.detail, at };
+      })
+      .filter(Boolean);
+  }
+
+  async evaluate(bill) {
+    return this.check(bill, await this.context(bill));
+  }
+
+  getConfig() {
+    return { ...this.config, available: RULES.map(r => ({ id: r.id, label: r.label, severity: r.severity })) };
+  }
+
+  // ── One CSV row per flag
+  toCSV(bills) {
+    const rows = [CSV_COLUMNS.join(',')];
+    bills.forEach(b => b.flags.forEach(f => rows.push(csv.row([
+      b.docNo || b.billNo, b.dateTime, b.status, b.vehicleNo, b.material, b.customer, b.weighbridge, b.netWeight,
+      f.rule, f.severity, f.message, f.at
+    ]))));
+    return rows.join('\n');
+  }
+}
+
+module.exports = new AnomalyRules();
+module.exports.RULE_IDS   = RULE_IDS;
+module.exports.SEVERITIES = SEVERITIES;
@@ -0,0 +1,113 @@
+// services/billAudit.js — Change history of every WeighBill
+//
+// Routes that change a bill take a snapshot first and record the field-level
+// before/after diff once the change is saved, together with the operator name
+// (`operator` in the request body), the client IP and the time. Entries go to
+// the separate `billaudits` collection and outlive a purged bill.
+//
+// Camera images are kept by reference (services/imageStore.js), so the history
+// records each image's file, size and sha1 — enough to show that one was replaced.
+
+const BillAudit = require('../models/BillAudit');
+const csv       = require('./csv');
+
+const IGNORED      = ['_id', '__v', 'createdAt', 'updatedAt'];   // change on every save
+
+const CSV_COLUMNS = ['at', 'billNo', 'action', 'user', 'ip', 'bridge', 'field', 'before', 'after'];
+
+class BillAuditService {
+  // ── Flat { 'grossWeight.value': 39170, ... } view of a bill
+  snapshot(bill) {
+    if (!bill) return null;
+    const obj  = bill.toObject ? bill.toObject() : { ...bill };
+    const flat = {};
+    const walk = (value, path) => {
+      if (value instanceof Date) {
+        flat[path] = value.toISOString();
+      } else if (value && value._bsontype) {
+        flat[path] = String(value);
+      } else if (Array.isArray(value) && value.some(v => v && typeof v === 'object' && !(v instanceof Date))) {
+        value.forEach((v, i) => walk(v, `${path}.${i}`));   // corrections.0.status
+      } else if (value && typeof value === 'object' && !Array.isArray(value)) {
+        Object.keys(value).forEach(k => walk(value[k], `${path}.${k}`));
+      } else {
+        flat[path] = value === undefined || (Array.isArray(value) && !value.length) ? null : value;
+      }
+    };
+    Object.keys(obj).forEach(key => {
+      if (!IGNORED.includes(key)) walk(obj[key], key);
+    });
+    return flat;
+  }
+
+  // ── [{ field, before, after }] for every field that differs (null ≡ missing)
+  diff(before, after) {
+    const a = before || {}, b = after || {};
+    const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])].sort();
+    return fields
+      .map(field => ({ field, before: a[field] ?? null, after: b[field] ?? null }))
+      .filter(c => JSON.stringify(c.before) !== JSON.stringify(c.after));
+  }
+
+  userOf(req) {
+    return String((req.body && req.body.operator) || '').trim().slice(0, 64) || null;
+  }
+
+  ipOf(req) {
+    const ip = req.ip || (req.socket && req.socket.remoteAddress) || null;
+    return ip ? ip.replace(/^::ffff:/, '') : null;
+  }
+
+  // ── Write one entry; an audit failure is logged but never fails the request
+  async record(action, req, before, bill) {
+    const after = action === 'deleted' ? null : this.snapshot(bill);
+    try {
+      return await BillAudit.create({
+        billId:  bill._id,
+        billNo:  bill.billNo,
+        action,
+        changes: this.diff(before, after),
+        user:    this.userOf(req),
+        ip:      this.ipOf(req),
+        bridge:  bill.weighbridge || null
+      });
+    } catch (err) {
+      console.error(`Audit entry for bill #${bill.billNo} (${action}) failed:`, err.message);
+      return null;
+    }
+  }
+
+  history(billId) {
+    return BillAudit.find({ billId }).sort({ at: 1, _id: 1 });
+  }
+
+  // ── Entries in [from, to) for inspections; dates are YYYY-MM-DD, `to` inclusive
+  find({ from, to, billNo, action } = {}) {
+    const query = {};
+    if (from || to) {
+      query.at = {};
+      if (from) query.at.$gte = new Date(from);
+      if (to) {
+        const end = new Date(to);
+        end.setDate(end.getDate() + 1);
+        query.at.$lt = end;
+      }
+    }
+    if (billNo) query.billNo = parseInt(billNo);
+    if (action) query.action = action;
+    return BillAudit.find(query).sort({ at: 1, _id: 1 });
+  }
+
+  // ── One CSV row per changed field (entries without changes get one row)
+  toCSV(entries) {
+    const rows = [CSV_COLUMNS.join(',')];
+    entries.forEach(e => {
+      const base = [e.at && e.at.toISOString(), e.billNo, e.action, e.user, e.ip, e.bridge];
+      const changes = e.changes.length ? e.changes : [{}];
+      changes.forEach(c => rows.push(csv.row([...base, c.field, c.before, c.after])));
+    });
+    return rows.join('\n');
+  }
+}
+
+module.exports = new BillAuditService();
@@ -0,0 +1,109 @@
+// services/billEvents.js — Bill lifecycle events over the WebSocket
+//
+// Routes publish an event whenever a bill is created, weighed, edited, printed,
+// cancelled, corrected, flagged or purged. Each event gets a sequence number; the last BILL_EVENT_BUFFER events
+// are kept so a client that reconnects can resume with `since` and replay what it
+// missed. `epoch` changes on every server start — a client holding an older epoch
+// (or asking for events already dropped from the buffer) is told to resync.
+//
+// Topics a WebSocket client can subscribe to:
+//   weight       live weight/status/platform of its weighbridge (on by default)
+//   bills        every bill event
+//   bills:WB2    bill events for bills opened on one weighbridge
+
+const EVENTS = [
+  'created', 'gross_captured', 'tare_captured', 'updated', 'printed', 'cancelled', 'deleted',
+  'correction_requested', 'corrected', 'correction_rejected', 'flagged'
+];
+
+class BillEventService {
+  constructor() {
+    this.epoch   = Date.now().toString(36);
+    this.seq     = 0;
+    this.buffer  = [];
+    this.maxSize = parseInt(process.env.BILL_EVENT_BUFFER) || 500;
+    this.clientTopics = new Map();   // ws → Set of bill topics
+  }
+
+  // ── Bill summary sent with an event, serialised as the API sends it: images carry signed
+  //    url / thumbUrl (valid for IMAGE_URL_TTL_MINUTES) and never their file paths
+  _summary(bill) {
+    return bill.toJSON ? bill.toJSON() : { ...bill };
+  }
+
+  publish(event, bill, extra = {}) {
+    if (!EVENTS.includes(event)) throw new Error(`Unknown bill event "${event}"`);
+    const summary = this._summary(bill);
+    const msg = {
+      type:      'bill',
+      epoch:     this.epoch,
+      seq:       ++this.seq,
+      event,
+      billId:    String(summary._id),
+      billNo:    summary.billNo,
+      docNo:     summary.docNo || null,
+      bridge:    summary.weighbridge || null,
+      bill:      event === 'deleted' ? null : summary,
+      ...extra,
+      timestamp: new Date().toISOString()
+    };
+    this.buffer.push(msg);
+    if (this.buffer.length > this.maxSize) this.buffer.shift();
+
+    const text = JSON.stringify(msg);
+    this.clientTopics.forEach((topics, ws) => {
+      if (ws.readyState === 1 && this._matches(topics, msg)) ws.send(text);
+    });
+    return msg;
+  }
+
+  _matches(topics, msg) {
+    return topics.has('bills') || (msg.bridge && topics.has(`bills:${msg.bridge}`));
+  }
+
+  // ── Topic names a client may use; bill topics are returned normalised
+  parseTopic(topic) {
+    const t = String(topic || '').trim();
+    if (t === 'weight' || t === 'bills') return t;
+    const m = t.match(/^bills:([A-Za-z0-9_-]+)$/);
+    return m ? `bills:${m[1].toUpperCase()}` : null;
+  }
+
+  subscribe(ws, topics) {
+    if (!this.clientTopics.has(ws)) this.clientTopics.set(ws, new Set());
+    const set = this.clientTopics.get(ws);
+    topics.forEach(t => set.add(t));
+    return [...set];
+  }
+
+  unsubscribe(ws, topics) {
+    const set = this.clientTopics.get(ws);
+    if (!set) return [];
+    if (!topics) { this.clientTopics.delete(ws); return []; }
+    topics.forEach(t => set.delete(t));
+    return [...set];
+  }
+
+  topicsOf(ws) {
+    return [...(this.clientTopics.get(ws) || [])];
+  }
+
+  // ── Events after `since` for a resuming client; { resync } when they cannot be replayed
+  replay(ws, since, epoch) {
+    const topics = this.clientTopics.get(ws) || new Set();
+    const seq = parseInt(since);
+    if (isNaN(seq)) return { events: [] };
+    if (epoch && epoch !== this.epoch) return { resync: 'server_restarted' };
+    const oldest = this.buffer.length ? this.buffer[0].seq : this.seq + 1;
+    if (seq < oldest - 1) return { resync: 'events_dropped' };
+    return { events: this.buffer.filter(e => e.seq > seq && this._matches(topics, e)) };
+  }
+
+  getInfo() {
+    return { epoch: this.epoch, seq: this.seq, buffered: this.buffer.length, clients: this.clientTopics.size };
+  }
+}
+
+BillEventService.EVENTS = EVENTS;
+
+module.exports = new BillEventService();
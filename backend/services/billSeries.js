@@ -0,0 +1,124 @@
+// services/billSeries.js — Bill number series, prefixes and financial-year reset
+//
+// Every bill keeps its global running `billNo` (unique, used by the API, events and
+// the audit trail). With BILL_NUMBER_FORMAT set, each new bill also gets a formatted
+// `docNo` from a named series, e.g. WB1/2026-27/00042, which is what receipts and
+// exports show. Bills made before a format was set simply show their billNo.
+//
+//   BILL_NUMBER_FORMAT   template, empty = plain billNo. Tokens:
+//                          {bridge} weighbridge id   {doc} document type
+//                          {fy} financial year (2026-27)   {seq} / {seq:5} number in the series
+//   BILL_SERIES_SCOPE    global | bridge | document | bridge+document — what gets its own series
+//   BILL_SERIES_RESET    never | fy — start every series again at 1 on the first day of the FY
+//   FY_START_MONTH       month the financial year starts (4 = April)
+//   BILL_DOCUMENT_TYPES  document types a bill can be opened as (first one is the default)
+
+const SCOPES = ['global', 'bridge', 'document', 'bridge+document'];
+const RESETS = ['never', 'fy'];
+
+const DEFAULTS = { format: '', scope: 'global', reset: 'fy', fyStartMonth: 4, documentTypes: ['WB'] };
+
+class BillSeries {
+  constructor() {
+    const cfg = BillSeries.configFromEnv();
+    const invalid = this.validate(cfg);
+    if (invalid) console.warn(`⚠️  Bill number series: ${invalid} — check BILL_NUMBER_FORMAT`);
+    this.configure(cfg);
+  }
+
+  static configFromEnv(env = process.env) {
+    const cfg = {};
+    if (env.BILL_NUMBER_FORMAT !== undefined) cfg.format        = env.BILL_NUMBER_FORMAT;
+    if (env.BILL_SERIES_SCOPE)                cfg.scope         = env.BILL_SERIES_SCOPE;
+    if (env.BILL_SERIES_RESET)                cfg.reset         = env.BILL_SERIES_RESET;
+    if (env.FY_START_MONTH)                   cfg.fyStartMonth  = env.FY_START_MONTH;
+    if (env.BILL_DOCUMENT_TYPES)              cfg.documentTypes = env.BILL_DOCUMENT_TYPES;
+    return cfg;
+  }
+
+  // ── Error message for a config that could hand out the same docNo twice, else null
+  validate(cfg) {
+    const given  = Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined));
+    const merged = { ...DEFAULTS, ...(this.config || {}), ...given };
+    const format = String(merged.format || '').trim();
+    if (!SCOPES.includes(merged.scope)) return `scope must be one of: ${SCOPES.join(', ')}`;
+    if (!RESETS.includes(merged.reset)) return `reset must be one of: ${RESETS.join(', ')}`;
+    const month = parseInt(merged.fyStartMonth);
+    if (!(month >= 1 && month <= 12)) return 'fyStartMonth must be a month number 1–12';
+    if (!format) return null;
+    if (!/\{seq(:\d+)?\}/.test(format)) return 'The number format needs {seq}';
+    if (merged.scope.includes('bridge') && !format.includes('{bridge}')) return 'A series per weighbridge needs {bridge} in the format';
+    if (merged.scope.includes('document') && !format.includes('{doc}')) return 'A series per document type needs {doc} in the format';
+    if (merged.reset === 'fy' && !format.includes('{fy}')) return 'Resetting every financial year needs {fy} in the format';
+    return null;
+  }
+
+  configure(cfg = {}) {
+    const given  = Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined));
+    const merged = { ...DEFAULTS, ...(this.config || {}), ...given };
+    const types  = Array.isArray(merged.documentTypes) ? merged.documentTypes : String(merged.documentTypes).split(',');
+    this.config = {
+      format:        String(merged.format || '').trim(),
+      scope:         SCOPES.includes(merged.scope) ? merged.scope : DEFAULTS.scope,
+      reset:         RESETS.includes(merged.reset) ? merged.reset : DEFAULTS.reset,
+      fyStartMonth:  parseInt(merged.fyStartMonth) >= 1 && parseInt(merged.fyStartMonth) <= 12 ? parseInt(merged.fyStartMonth) : DEFAULTS.fyStartMonth,
+      documentTypes: types.map(t => String(t).trim().toUpperCase()).filter(Boolean)
+    };
+    if (!this.config.documentTypes.length) this.config.documentTypes = [...DEFAULTS.documentTypes];
+    return this.config;
+  }
+
+  enabled() {
+    return !!this.config.format;
+  }
+
+  defaultDocumentType() {
+    return this.config.documentTypes[0];
+  }
+
+  isDocumentType(type) {
+    return this.config.documentTypes.includes(String(type || '').trim().toUpperCase());
+  }
+
+  // ── Financial year of a date: 2026-27 (or 2026 when the FY is the calendar year)
+  financialYear(date = new Date()) {
+    const d = new Date(date);
+    const start = this.config.fyStartMonth;
+    const year  = d.getMonth() + 1 >= start ? d.getFullYear() : d.getFullYear() - 1;
+    return start === 1 ? String(year) : `${year}-${String(year + 1).slice(2)}`;
+  }
+
+  // ── Series a new bill draws from: { key (counter id), fy, format(seq) }
+  seriesFor({ bridge, documentType, date }) {
+    const { scope, reset, format } = this.config;
+    const fy  = this.financialYear(date);
+    const doc = documentType || this.defaultDocumentType();
+    const parts = [];
+    if (scope.includes('bridge'))   parts.push(bridge || '-');
+    if (scope.includes('document')) parts.push(doc);
+    if (reset === 'fy')             parts.push(fy);
+    return {
+      key: `series:${parts.length ? parts.join(':') : 'all'}`,
+      fy,
+      format: seq => format
+        .replace(/\{bridge\}/g, bridge || '')
+        .replace(/\{doc\}/g, doc)
+        .replace(/\{fy\}/g, fy)
+        .replace(/\{seq(?::(\d+))?\}/g, (m, width) => String(seq).padStart(parseInt(width) || 0, '0'))
+    };
+  }
+
+  // ── Sample number with the current config (settings page preview)
+  preview({ bridge = 'WB1', documentType, date = new Date(), seq = 42 } = {}) {
+    return this.enabled() ? this.seriesFor({ bridge, documentType, date }).format(seq) : String(seq);
+  }
+
+  getConfig() {
+    return { ...this.config, enabled: this.enabled(), currentFY: this.financialYear(), sample: this.preview() };
+  }
+}
+
+BillSeries.SCOPES = SCOPES;
+BillSeries.RESETS = RESETS;
+
+module.exports = new BillSeries();
@@ -0,0 +1,172 @@
+// services/bridgeService.js — Named weighbridges, one serial channel per platform
+//
+// Bridges are configured in .env:
+//   WEIGHBRIDGES=WB1,WB2          (optional — defaults to a single "WB1")
+//
+// The first bridge keeps the original un-prefixed keys (SERIAL_PORT, BAUD_RATE,
+// SERIAL_PROTOCOL, CAMERA1_SNAPSHOT, PRINTER_TYPE ...) so an existing single
+// bridge .env keeps working. Every other bridge uses the same keys prefixed
+// with its id: WB2_SERIAL_PORT, WB2_CAMERA1_SNAPSHOT, WB2_PRINTER_IP ...
+// WEIGHBRIDGE_NAME / WB2_WEIGHBRIDGE_NAME give the display name.
+// CAMERA_COUNT / WB2_CAMERA_COUNT set how many cameras a bridge has (see cameraService.js).
+// INDICATOR_TRANSPORT (serial | tcp | udp) with INDICATOR_HOST / INDICATOR_PORT
+// reaches an indicator behind a serial device server instead of a local port.
+// SIMULATION_SOURCE (random | replay) with REPLAY_FILE / REPLAY_SPEED picks what
+// runs while the indicator is unavailable; RECORD_FRAMES=true captures raw frames.
+
+const SerialService = require('./serialService');
+const CameraService = require('./cameraService');
+
+const DEFAULT_BRIDGE_ID = 'WB1';
+
+class BridgeService {
+  constructor() {
+    this.bridges = new Map();
+    this.order   = [];
+    this.clientBridge = new Map();   // ws → bridge id it is subscribed to
+  }
+
+  // ── Called once from server.js on startup
+  initialize() {
+    this._loadIds().forEach((id, idx) => {
+      const bridge = this._buildBridge(id, idx === 0);
+      this.bridges.set(id, bridge);
+      this.order.push(id);
+      bridge.serial.setSimulation(bridge.simulationConfig);
+      bridge.serial.initialize(bridge.serialConfig);
+      bridge.serial.setRecording(bridge.recordFrames);
+    });
+    console.log(`⚖️  Weighbridges: ${this.order.join(', ')}`);
+  }
+
+  _loadIds() {
+    const ids = (process.env.WEIGHBRIDGES || '')
+      .split(',')
+      .map(s => s.trim().toUpperCase())
+      .filter(Boolean);
+    return ids.length ? [...new Set(ids)] : [DEFAULT_BRIDGE_ID];
+  }
+
+  // ── .env key for a bridge setting (first bridge = un-prefixed legacy keys)
+  envKey(bridge, key) {
+    return bridge.isDefault ? key : `${bridge.id}_${key}`;
+  }
+
+  _env(bridge, key) {
+    return process.env[this.envKey(bridge, key)];
+  }
+
+  _buildBridge(id, isDefault) {
+    const bridge = { id, isDefault };
+    this._applyConfig(bridge);
+    bridge.serial = new SerialService(id, bridge.name);
+    bridge.camera = new CameraService(bridge.cameraConfig, id);
+    return bridge;
+  }
+
+  _applyConfig(bridge) {
+    const env = key => this._env(bridge, key);
+    bridge.name = env('WEIGHBRIDGE_NAME') || `Weighbridge ${bridge.id}`;
+    bridge.serialConfig = {
+      transport: env('INDICATOR_TRANSPORT') || 'serial',
+      port:      env('SERIAL_PORT') || (bridge.isDefault ? '/dev/ttyUSB0' : ''),
+      baud:      parseInt(env('BAUD_RATE')) || 9600,
+      host:      env('INDICATOR_HOST') || '',
+      netPort:   parseInt(env('INDICATOR_PORT')) || null,
+      protocol:  env('SERIAL_PROTOCOL') || 'ascii'
+    };
+    bridge.simulationConfig = {
+      source: env('SIMULATION_SOURCE') || 'random',
+      file:   env('REPLAY_FILE') || null,
+      speed:  parseFloat(env('REPLAY_SPEED')) || 1
+    };
+    bridge.recordFrames = env('RECORD_FRAMES') === 'true';
+    bridge.cameraConfig = CameraService.configFromEnv(env);
+    // Only keys that are set — the printer route falls back to the global printer
+    bridge.printer = {};
+    if (env('PRINTER_TYPE')) bridge.printer.printerType = env('PRINTER_TYPE');
+    if (env('PRINTER_NAME')) bridge.printer.printerName = env('PRINTER_NAME');
+    if (env('PRINTER_IP'))   bridge.printer.ipHost      = env('PRINTER_IP');
+    if (env('PRINTER_PORT')) bridge.printer.ipPort      = parseInt(env('PRINTER_PORT'));
+    return bridge;
+  }
+
+  // ── Re-read one bridge's settings from process.env (called by settings route)
+  reload(id, { reconnectSerial = false } = {}) {
+    const bridge = this.get(id);
+    if (!bridge) return null;
+    this._applyConfig(bridge);
+    bridge.serial.bridgeName = bridge.name;
+    bridge.camera.reload(bridge.cameraConfig);
+    bridge.serial.setSimulation(bridge.simulationConfig);
+    if (reconnectSerial) bridge.serial.reconnect(bridge.serialConfig);
+    bridge.serial.setRecording(bridge.recordFrames);
+    return bridge;
+  }
+
+  get(id) {
+    if (!id) return null;
+    return this.bridges.get(String(id).toUpperCase()) || null;
+  }
+
+  getDefault() {
+    return this.bridges.get(this.order[0]) || null;
+  }
+
+  // ── Bridge for an optional id: missing id → default, unknown id → null
+  resolve(id) {
+    return id ? this.get(id) : this.getDefault();
+  }
+
+  all() {
+    return this.order.map(id => this.bridges.get(id));
+  }
+
+  list() {
+    return this.all().map(b => ({
+      id:         b.id,
+      name:       b.name,
+      isDefault:  b.isDefault,
+      transport:  b.serial.config.transport,
+      endpoint:   b.serial.endpoint,
+      protocol:   b.serial.protocol,
+      connected:  b.serial.isConnected,
+      simulation: b.serial.isSimulation,
+      simulationSource: b.serial.simConfig.source,
+      replayFile: b.serial.simConfig.file,
+      recording:  b.serial.recorder ? b.serial.recorder.name : null,
+      cameras:    b.camera.list()
+    }));
+  }
+
+  // ── WebSocket subscriptions: each client follows exactly one bridge
+  subscribe(ws, id) {
+    const bridge = this.resolve(id);
+    if (!bridge) return null;
+    this.unsubscribe(ws);
+    this.clientBridge.set(ws, bridge.id);
+    bridge.serial.addWSClient(ws);
+    return bridge;
+  }
+
+  unsubscribe(ws) {
+    const current = this.get(this.clientBridge.get(ws));
+    if (current) current.serial.removeWSClient(ws);
+    this.clientBridge.delete(ws);
+  }
+
+  // ── Summary for /api/health
+  getHealth() {
+    return this.all().map(b => ({
+      id:         b.id,
+      name:       b.name,
+      connected:  b.serial.isConnected,
+      simulation: b.serial.isSimulation,
+      frames:     b.serial.getFrameStats(),
+      platform:   b.serial.platform.state,
+      warnings:   b.serial.getWarnings()
+    }));
+  }
+}
+
+module.exports = new BridgeService();
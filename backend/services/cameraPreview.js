@@ -0,0 +1,258 @@
+// services/cameraPreview.js — Live camera previews shared between viewers
+//
+// GET /api/cameras/:bridge/:camera/preview answers with an endless
+// multipart/x-mixed-replace stream of JPEG frames (MJPEG), which an <img> plays as is.
+// Each camera has one feed and one upstream connection however many browsers watch:
+// the first viewer opens it, and it is closed LINGER_MS after the last one leaves.
+//   CAMERAn_STREAM set   the camera's own MJPEG stream is read and re-served frame by frame
+//   otherwise            the snapshot URL is polled CAMERAn_PREVIEW_FPS times a second
+// Requests go through CameraService.request(), so basic / digest credentials stay on
+// the server. A failed upstream is retried every RETRY_MS while anyone is watching;
+// a viewer too slow to take a frame skips frames rather than buffering them.
+
+const BOUNDARY        = 'wbpreview';
+const LINGER_MS       = 5000;
+const RETRY_MS        = 3000;
+const MAX_FRAME_BYTES = 8 * 1024 * 1024;
+
+const SOI = Buffer.from([0xff, 0xd8]);
+const EOI = Buffer.from([0xff, 0xd9]);
+
+// JPEG frames out of an MJPEG byte stream: a frame runs from the SOI marker (FF D8) to the
+// EOI marker (FF D9); multipart boundaries and part headers in between are skipped, so
+// cameras that get the multipart framing slightly wrong still play
+class MjpegParser {
+  constructor(onFrame) {
+    this.onFrame = onFrame;
+    this.buffer  = Buffer.alloc(0);
+    this.scanned = 0;   // bytes already searched for EOI
+  }
+
+  push(chunk) {
+    this.buffer = this.buffer.length ? Buffer.concat([this.buffer, chunk]) : chunk;
+    for (;;) {
+      const start = this.buffer.indexOf(SOI);
+      if (start === -1) {
+        this.buffer  = this.buffer.subarray(-1);   // an FF may start the next marker
+        this.scanned = 0;
+        return;
+      }
+      const end = this.buffer.indexOf(EOI, Math.max(start + 2, this.scanned - 1));
+      if (end === -1) {
+        this.buffer  = this.buffer.subarray(start);
+        this.scanned = this.buffer.length;
+        if (this.buffer.length > MAX_FRAME_BYTES) this.reset();
+        return;
+      }
+      this.onFrame(Buffer.from(this.buffer.subarray(start, end + 2)));
+      this.buffer  = this.buffer.subarray(end + 2);
+      this.scanned = 0;
+    }
+  }
+
+  reset() {
+    this.buffer  = Buffer.alloc(0);
+    this.scanned = 0;
+  }
+}
+
+// One camera's preview: the upstream connection and the browsers watching it
+class PreviewFeed {
+  constructor(bridge, cameraNum) {
+    this.bridge     = bridge;
+    this.cameraNum  = cameraNum;
+    this.viewers    = new Set();
+    this.state      = 'idle';   // idle | connecting | live | error
+    this.error      = null;
+    this.frame      = null;     // latest JPEG, sent to a viewer as soon as it joins
+    this.frames     = 0;
+    this.lastFrameAt = null;
+    this.upstream   = null;
+    this.generation = 0;        // bumped on every start / stop; stale loops and streams give up
+    this.lingerTimer = null;
+    this.retryTimer  = null;
+  }
+
+  get camera() {
+    return this.bridge.camera.camera(this.cameraNum);
+  }
+
+  get mode() {
+    const cam = this.camera;
+    return cam && cam.stream ? 'mjpeg' : 'snapshot';
+  }
+
+  get label() {
+    const cam = this.camera;
+    return `[${this.bridge.id}] camera ${this.cameraNum}${cam ? ` (${cam.role})` : ''}`;
+  }
+
+  // ── Add an HTTP response as a viewer until the browser goes away
+  add(req, res) {
+    res.writeHead(200, {
+      'Content-Type':  `multipart/x-mixed-replace; boundary=${BOUNDARY}`,
+      'Cache-Control': 'no-cache, no-store, private',
+      'Pragma':        'no-cache',
+      'Connection':    'close'
+    });
+    const viewer = { res, waiting: false };
+    this.viewers.add(viewer);
+    req.on('close', () => this.remove(viewer));
+
+    clearTimeout(this.lingerTimer);
+    this.lingerTimer = null;
+    if (this.frame) this._send(viewer, this.frame);
+    if (this.state === 'idle') this.start();
+  }
+
+  remove(viewer) {
+    if (!this.viewers.delete(viewer)) return;
+    if (this.viewers.size || this.lingerTimer) return;
+    this.lingerTimer = setTimeout(() => {
+      this.lingerTimer = null;
+      if (!this.viewers.size) this.stop();
+    }, LINGER_MS);
+  }
+
+  start() {
+    const gen = ++this.generation;
+    clearTimeout(this.retryTimer);
+    this.state = 'connecting';
+    if (this.mode === 'mjpeg') this._stream(gen);
+    else this._poll(gen);
+  }
+
+  stop() {
+    this.generation++;
+    clearTimeout(this.retryTimer);
+    if (this.upstream) this.upstream.destroy();
+    this.upstream = null;
+    this.state    = 'idle';
+    this.frame    = null;
+  }
+
+  // ── New camera settings: reconnect if anyone is watching
+  restart() {
+    this.stop();
+    if (this.viewers.size) this.start();
+  }
+
+  // ── End every viewer (the camera was removed)
+  close() {
+    this.stop();
+    this.viewers.forEach(v => v.res.end());
+    this.viewers.clear();
+  }
+
+  async _stream(gen) {
+    const cam = this.camera;
+    const parser = new MjpegParser(frame => this._publish(gen, frame));
+    try {
+      const response = await this.bridge.camera.request(cam, { responseType: 'stream' }, cam.stream);
+      if (gen !== this.generation) return response.data.destroy();
+      this.upstream = response.data;
+      response.data.on('data', chunk => parser.push(chunk));
+      response.data.on('error', err => this._fail(gen, err));
+      response.data.on('end', () => this._fail(gen, new Error('stream ended')));
+    } catch (err) {
+      this._fail(gen, err);
+    }
+  }
+
+  async _poll(gen) {
+    while (gen === this.generation) {
+      const cam = this.camera;
+      if (!cam || !cam.url) return this._fail(gen, new Error('no stream or snapshot URL'));
+      const started = Date.now();
+      try {
+        const response = await this.bridge.camera.request(cam, { responseType: 'arraybuffer' });
+        this._publish(gen, Buffer.from(response.data));
+      } catch (err) {
+        return this._fail(gen, err);
+      }
+      await new Promise(resolve => setTimeout(resolve, Math.max(0, 1000 / cam.previewFps - (Date.now() - started))));
+    }
+  }
+
+  _publish(gen, frame) {
+    if (gen !== this.generation) return;
+    if (this.state !== 'live') console.log(`🎥 Preview ${this.label} live (${this.mode})`);
+    this.state       = 'live';
+    this.error       = null;
+    this.frame       = frame;
+    this.frames++;
+    this.lastFrameAt = new Date();
+    this.viewers.forEach(v => this._send(v, frame));
+  }
+
+  // A viewer whose socket is still full skips this frame
+  _send(viewer, frame) {
+    if (viewer.waiting) return;
+    const res = viewer.res;
+    res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${frame.length}\r\n\r\n`);
+    res.write(frame);
+    if (!res.write('\r\n')) {
+      viewer.waiting = true;
+      res.once('drain', () => { viewer.waiting = false; });
+    }
+  }
+
+  _fail(gen, err) {
+    if (gen !== this.generation) return;
+    if (this.state !== 'error' || this.error !== err.message) console.warn(`⚠️  Preview ${this.label} failed:`, err.message);
+    if (this.upstream) this.upstream.destroy();
+    this.upstream = null;
+    this.state    = 'error';
+    this.error    = err.message;
+    this.generation++;
+    if (this.viewers.size) this.retryTimer = setTimeout(() => { if (this.viewers.size) this.start(); }, RETRY_MS);
+    else this.state = 'idle';
+  }
+
+  stats() {
+    const cam = this.camera;
+    return {
+      bridge:      this.bridge.id,
+      camera:      this.cameraNum,
+      role:        cam ? cam.role : null,
+      mode:        this.mode,
+      fps:         this.mode === 'snapshot' && cam ? cam.previewFps : null,
+      state:       this.state,
+      viewers:     this.viewers.size,
+      frames:      this.frames,
+      lastFrameAt: this.lastFrameAt,
+      error:       this.error
+    };
+  }
+}
+
+class CameraPreview {
+  constructor() {
+    this.feeds = new Map();   // "WB1:2" → PreviewFeed
+  }
+
+  // ── Serve a camera's preview to one browser
+  serve(bridge, cameraNum, req, res) {
+    const key = `${bridge.id}:${cameraNum}`;
+    if (!this.feeds.has(key)) this.feeds.set(key, new PreviewFeed(bridge, cameraNum));
+    this.feeds.get(key).add(req, res);
+  }
+
+  // ── Apply a bridge's new camera settings to its feeds (called by the settings route)
+  restart(bridgeId) {
+    this.feeds.forEach((feed, key) => {
+      if (feed.bridge.id !== bridgeId) return;
+      const cam = feed.camera;
+      if (cam && (cam.stream || cam.url)) return feed.restart();
+      feed.close();
+      this.feeds.delete(key);
+    });
+  }
+
+  list() {
+    return [...this.feeds.values()].map(f => f.stats());
+  }
+}
+
+module.exports = new CameraPreview();
+module.exports.MjpegParser = MjpegParser;
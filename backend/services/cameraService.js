@@ -1,80 +1,162 @@
-// services/cameraService.js
+// services/cameraService.js — Snapshot capture for one weighbridge's cameras
+// Snapshots are returned as buffers; routes keep them with services/imageStore.js.
+//
+// A bridge has CAMERA_COUNT cameras (default 2), numbered from 1. Camera n is set up with
+//   CAMERAn_ROLE        label shown in the UI and on the receipt (front, rear, top...)
+//   CAMERAn_SNAPSHOT    HTTP snapshot URL; empty = no capture (manual upload only)
+//   CAMERAn_USER / _PASS credentials, sent as CAMERAn_AUTH basic (default) or digest
+//   CAMERAn_TIMEOUT_MS  how long a snapshot may take (default 5000)
+//   CAMERAn_ON_RECEIPT  false leaves the camera's images off the receipt
+//   CAMERAn_STREAM      MJPEG stream URL for the live preview (services/cameraPreview.js);
+//                       without it the preview polls the snapshot URL CAMERAn_PREVIEW_FPS
+//                       times a second (default 2)
 const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const digestAuth = require('./digestAuth');
 
-class CameraService {
-  constructor() {
-    this.camera1Url = process.env.CAMERA1_SNAPSHOT || null;
-    this.camera2Url = process.env.CAMERA2_SNAPSHOT || null;
-    this.snapshotDir = path.join(__dirname, '../public/snapshots');
-    
-    // Ensure snapshot directory exists
-    if (!fs.existsSync(this.snapshotDir)) {
-      fs.mkdirSync(this.snapshotDir, { recursive: true });
+const AUTH_TYPES          = ['basic', 'digest'];
+const DEFAULT_COUNT       = 2;
+const MAX_CAMERAS         = 8;
+const DEFAULT_TIMEOUT_MS  = 5000;
+const DEFAULT_PREVIEW_FPS = 2;
+const MAX_PREVIEW_FPS     = 25;
+
+// config: { cameras: [{ camera, role, url, user, pass, auth, timeoutMs, onReceipt, stream, previewFps }] }
+// `env` reads a key (bridgeService passes one that applies the bridge prefix);
+// defaults to the un-prefixed environment variables.
+function configFromEnv(env = key => process.env[key]) {
+  const count = parseInt(env('CAMERA_COUNT'));
+  const total = count >= 0 ? Math.min(count, MAX_CAMERAS) : DEFAULT_COUNT;
+  return { cameras: Array.from({ length: total }, (_, i) => cameraFromEnv(env, i + 1)) };
+}
+
+function cameraFromEnv(env, n) {
+  const auth = String(env(`CAMERA${n}_AUTH`) || '').toLowerCase();
+  return {
+    camera:     n,
+    role:       env(`CAMERA${n}_ROLE`) || `Camera ${n}`,
+    url:        env(`CAMERA${n}_SNAPSHOT`) || null,
+    user:       env(`CAMERA${n}_USER`) || '',
+    pass:       env(`CAMERA${n}_PASS`) || '',
+    auth:       AUTH_TYPES.includes(auth) ? auth : 'basic',
+    timeoutMs:  parseInt(env(`CAMERA${n}_TIMEOUT_MS`)) || DEFAULT_TIMEOUT_MS,
+    onReceipt:  env(`CAMERA${n}_ON_RECEIPT`) !== 'false',
+    stream:     env(`CAMERA${n}_STREAM`) || null,
+    previewFps: Math.min(parseFloat(env(`CAMERA${n}_PREVIEW_FPS`)) || DEFAULT_PREVIEW_FPS, MAX_PREVIEW_FPS)
+  };
+}
+
+// ── Error message for a camera list sent by the settings UI, else null
+function validateCameras(cameras) {
+  if (!Array.isArray(cameras)) return 'cameras must be a list';
+  if (cameras.length > MAX_CAMERAS) return `At most ${MAX_CAMERAS} cameras per weighbridge`;
+  for (const [i, cam] of cameras.entries()) {
+    const n = i + 1;
+    if (!cam || typeof cam !== 'object') return `Camera ${n} must be an object`;
+    if (cam.role !== undefined && String(cam.role).length > 40) return `Camera ${n} role must be 40 characters or less`;
+    if (cam.url && !/^https?:\/\//i.test(cam.url)) return `Camera ${n} snapshot URL must start with http:// or https://`;
+    if (cam.auth !== undefined && !AUTH_TYPES.includes(cam.auth)) return `Camera ${n} auth must be one of: ${AUTH_TYPES.join(', ')}`;
+    if (cam.timeoutMs !== undefined && !(parseInt(cam.timeoutMs) > 0)) return `Camera ${n} timeoutMs must be a positive number of milliseconds`;
+    if (cam.stream && !/^https?:\/\//i.test(cam.stream)) return `Camera ${n} stream URL must start with http:// or https://`;
+    if (cam.previewFps !== undefined && !(parseFloat(cam.previewFps) > 0 && parseFloat(cam.previewFps) <= MAX_PREVIEW_FPS)) {
+      return `Camera ${n} previewFps must be more than 0 and at most ${MAX_PREVIEW_FPS}`;
     }
   }
+  return null;
+}
+
+class CameraService {
+  constructor(config = configFromEnv(), label = '') {
+    this.label  = label;
+    this.reload(config, { quiet: true });
+  }
+
+  camera(cameraNum) {
+    return this.cameras.find(c => c.camera === cameraNum) || null;
+  }
+
+  has(cameraNum) {
+    return !!this.camera(cameraNum);
+  }
+
+  // ── Cameras without URLs and credentials (bridge list, WebSocket clients)
+  list() {
+    return this.cameras.map(c => ({ camera: c.camera, role: c.role, onReceipt: c.onReceipt, configured: !!c.url, preview: !!(c.stream || c.url) }));
+  }
+
+  // ── Full settings for the settings UI, passwords masked
+  getConfig() {
+    return this.cameras.map(c => ({ ...c, pass: c.pass ? '***' : '' }));
+  }
 
   async captureSnapshot(cameraNum) {
-    const url = cameraNum === 1 ? this.camera1Url : this.camera2Url;
-    
-    if (!url) {
+    const cam = this.camera(cameraNum);
+
+    if (!cam || !cam.url) {
       console.log(`Camera ${cameraNum} URL not configured`);
       return null;
     }
 
     try {
-      const response = await axios.get(url, {
-        responseType: 'arraybuffer',
-        timeout: 5000,
-        auth: this.getAuth(cameraNum)
-      });
-
-      const timestamp = Date.now();
-      const filename = `cam${cameraNum}_${timestamp}.jpg`;
-      const filepath = path.join(this.snapshotDir, filename);
-      
-      fs.writeFileSync(filepath, response.data);
-      
-      // Return base64 for immediate display
-      const base64 = Buffer.from(response.data).toString('base64');
+      const response = await this.request(cam, { responseType: 'arraybuffer' });
+
+      const contentType = String(response.headers['content-type'] || '').split(';')[0].trim();
       return {
-        filename,
-        path: `/snapshots/${filename}`,
-        base64: `data:image/jpeg;base64,${base64}`,
-        timestamp: new Date().toISOString()
+        camera:      cameraNum,
+        role:        cam.role,
+        data:        Buffer.from(response.data),
+        contentType: contentType.startsWith('image/') ? contentType : 'image/jpeg',
+        timestamp:   new Date().toISOString()
       };
     } catch (err) {
-      console.error(`Camera ${cameraNum} capture failed:`, err.message);
+      console.error(`Camera ${cameraNum} (${cam.role}) capture failed:`, err.message);
       return null;
     }
   }
 
+  // Basic credentials for axios; digest ones are answered per request in request()
   getAuth(cameraNum) {
-    const user = process.env[`CAMERA${cameraNum}_USER`];
-    const pass = process.env[`CAMERA${cameraNum}_PASS`];
-    if (user && pass) return { username: user, password: pass };
+    const cam = this.camera(cameraNum);
+    if (cam && cam.auth === 'basic' && cam.user && cam.pass) return { username: cam.user, password: cam.pass };
     return undefined;
   }
 
-  async captureBoth() {
-    const [cam1, cam2] = await Promise.allSettled([
-      this.captureSnapshot(1),
-      this.captureSnapshot(2)
-    ]);
+  // ── GET one of a camera's URLs (the snapshot URL by default) with its credentials.
+  //    A digest camera answers the first request with a challenge; it is repeated once
+  //    with the Authorization header.
+  async request(cam, options = {}, url = cam.url) {
+    const config = { timeout: cam.timeoutMs, ...options, auth: this.getAuth(cam.camera) };
+    if (cam.auth !== 'digest' || !cam.user) return axios.get(url, config);
+    try {
+      return await axios.get(url, config);
+    } catch (err) {
+      const challenge = err.response && digestAuth.parseChallenge(err.response.headers['www-authenticate']);
+      if (!challenge) throw err;
+      if (err.response.data && typeof err.response.data.destroy === 'function') err.response.data.destroy();
+      const { pathname, search } = new URL(url);
+      const header = digestAuth.authorization(challenge, { username: cam.user, password: cam.pass, method: 'GET', uri: pathname + search });
+      return axios.get(url, { ...config, headers: { ...(config.headers || {}), Authorization: header } });
+    }
+  }
 
-    return {
-      camera1: cam1.status === 'fulfilled' ? cam1.value : null,
-      camera2: cam2.status === 'fulfilled' ? cam2.value : null
-    };
+  // ── Snapshots of every configured camera, in camera order; failed ones are left out
+  async captureAll() {
+    const results = await Promise.allSettled(this.cameras.map(c => this.captureSnapshot(c.camera)));
+    return results.map(r => (r.status === 'fulfilled' ? r.value : null)).filter(Boolean);
   }
 
-  // ── Hot-reload URLs from updated process.env (called by settings route)
-  reload() {
-    this.camera1Url = process.env.CAMERA1_SNAPSHOT || null;
-    this.camera2Url = process.env.CAMERA2_SNAPSHOT || null;
-    console.log('📷 Camera URLs reloaded:', this.camera1Url, this.camera2Url);
+  // ── Hot-reload the camera list (called by bridgeService after a settings change)
+  reload(config = configFromEnv(), { quiet = false } = {}) {
+    this.config  = config;
+    this.cameras = config.cameras || [];
+    if (quiet) return;
+    console.log(`📷 ${this.label ? `[${this.label}] ` : ''}Cameras reloaded:`,
+      this.cameras.map(c => `${c.camera} ${c.role} → ${c.url || 'not configured'}`).join(', ') || 'none');
   }
 }
 
-module.exports = new CameraService();
+module.exports = CameraService;
+module.exports.configFromEnv   = configFromEnv;
+module.exports.validateCameras = validateCameras;
+module.exports.AUTH_TYPES      = AUTH_TYPES;
+module.exports.MAX_CAMERAS     = MAX_CAMERAS;
+module.exports.MAX_PREVIEW_FPS = MAX_PREVIEW_FPS;
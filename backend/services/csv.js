@@ -0,0 +1,19 @@
+// services/csv.js — CSV cells shared by the report exports
+//
+// Empty for null / undefined, ISO text for dates, JSON for other objects. A cell holding a
+// quote, comma or line break is wrapped in quotes with its own quotes doubled (RFC 4180).
+
+function cell(value) {
+  if (value == null) return '';
+  const text = value instanceof Date ? value.toISOString()
+    : typeof value === 'object' ? JSON.stringify(value)
+    : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+// ── One CSV line of values
+function row(values) {
+  return values.map(cell).join(',');
+}
+
+module.exports = { cell, row };
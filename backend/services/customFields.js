@@ -0,0 +1,115 @@
+// services/customFields.js — Admin-defined extra fields on bills
+//
+// Sites need details the WeighBill schema does not have: DC / challan number, PO
+// number, driver, destination, seal number, remarks... Each one is a definition in
+// master data (/api/master/custom-fields):
+//   key            name the value is stored under on the bill (bill.customFields.dc_no),
+//                  made from the label and fixed once created
+//   label          what the form, receipt and CSV header show
+//   type           text | number | date (YYYY-MM-DD) | select (one of `options`)
+//   required       a bill cannot be created, or its custom fields saved, without it
+//   showOnReceipt  printed on the HTML and raw-text receipt
+//   showInExport   a column of the CSV export
+//
+// A deactivated field disappears from the form, receipt and export; values already
+// on bills are kept.
+
+const FIELD_TYPES = ['text', 'number', 'date', 'select'];
+const MAX_TEXT    = 200;
+
+function isEmpty(value) {
+  return value === undefined || value === null || String(value).trim() === '';
+}
+
+class CustomFieldService {
+  // ── 'DC / Challan No.' → 'dc_challan_no'
+  keyOf(label) {
+    return String(label || '').trim().toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '').slice(0, 40);
+  }
+
+  // ── Validate a definition sent by the UI; returns an error message or null
+  validateDefinition(def) {
+    if (def.label !== undefined && !String(def.label).trim()) return 'Custom field label is required';
+    if (def.type !== undefined && !FIELD_TYPES.includes(def.type)) {
+      return `Unknown field type "${def.type}". Use one of: ${FIELD_TYPES.join(', ')}`;
+    }
+    if (def.type === 'select' && !this.optionsOf(def).length) return 'A select field needs at least one option';
+    return null;
+  }
+
+  // ── Options as a clean list (the UI may send 'A, B, C')
+  optionsOf(def) {
+    const options = Array.isArray(def.options) ? def.options : String(def.options || '').split(',');
+    return [...new Set(options.map(o => String(o).trim()).filter(Boolean))];
+  }
+
+  // ── Value of one field as stored on the bill; { value } or { error }
+  parse(def, raw) {
+    if (isEmpty(raw)) return { value: null };
+    const text = String(raw).trim();
+    switch (def.type) {
+      case 'number': {
+        const n = Number(text);
+        return isNaN(n) ? { error: `"${def.label}" must be a number` } : { value: n };
+      }
+      case 'date': {
+        const m = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+        const d = m ? new Date(Date.UTC(+m[1], +m[2] - 1, +m[3])) : null;
+        if (!d || d.getUTCMonth() !== +m[2] - 1) return { error: `"${def.label}" must be a date (YYYY-MM-DD)` };
+        return { value: `${m[1]}-${m[2]}-${m[3]}` };
+      }
+      case 'select': {
+        const option = (def.options || []).find(o => o.toLowerCase() === text.toLowerCase());
+        return option ? { value: option } : { error: `"${def.label}" must be one of: ${def.options.join(', ')}` };
+      }
+      default:
+        return text.length > MAX_TEXT ? { error: `"${def.label}" is longer than ${MAX_TEXT} characters` } : { value: text };
+    }
+  }
+
+  // ── Values sent for a bill merged into what it already has, checked against the
+  //    active definitions: { values } or { error }. Empty values clear a field.
+  clean(defs, given, current = {}) {
+    if (given !== undefined && given !== null && (typeof given !== 'object' || Array.isArray(given))) {
+      return { error: 'customFields must be an object of { key: value }' };
+    }
+    const values = { ...(current || {}) };
+    for (const [key, raw] of Object.entries(given || {})) {
+      const def = defs.find(d => d.key === key);
+      if (!def) {
+        // Values of a field deactivated since may be sent back unchanged
+        if (key in values && String(values[key]) === String(raw)) continue;
+        return { error: `Unknown custom field "${key}"` };
+      }
+      const parsed = this.parse(def, raw);
+      if (parsed.error) return parsed;
+      if (parsed.value === null) delete values[key];
+      else values[key] = parsed.value;
+    }
+    const missing = defs.filter(d => d.required && isEmpty(values[d.key]));
+    if (missing.length) return { error: `${missing.map(d => `"${d.label}"`).join(', ')} ${missing.length > 1 ? 'are' : 'is'} required` };
+    return { values };
+  }
+
+  // ── Display text of a stored value (dates as DD/MM/YYYY like the rest of the receipt)
+  format(def, value) {
+    if (isEmpty(value)) return '';
+    if (def.type === 'date') {
+      const m = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+      return m ? `${m[3]}/${m[2]}/${m[1]}` : String(value);
+    }
+    return String(value);
+  }
+
+  // ── [{ key, label, value }] of a bill for the receipt (flag showOnReceipt) or export
+  rows(defs, bill, flag = 'showOnReceipt') {
+    const values = (bill && bill.customFields) || {};
+    return (defs || [])
+      .filter(d => d[flag])
+      .map(d => ({ key: d.key, label: d.label, value: this.format(d, values[d.key]) }))
+      .filter(r => r.value !== '');
+  }
+}
+
+module.exports = new CustomFieldService();
+module.exports.FIELD_TYPES = FIELD_TYPES;
@@ -0,0 +1,52 @@
+// services/digestAuth.js — HTTP Digest authentication (RFC 7616) for IP cameras
+//
+// Hikvision, Dahua and most recent cameras refuse Basic auth. They answer the first
+// request with 401 and `WWW-Authenticate: Digest realm=..., nonce=..., qop="auth"`;
+// the request is then repeated with the Authorization header built here.
+// Algorithms MD5, MD5-sess, SHA-256 and SHA-256-sess; qop "auth" or none (RFC 2069).
+
+const crypto = require('crypto');
+
+const HASHES = { 'MD5': 'md5', 'SHA-256': 'sha256' };
+
+// ── Parameters of a Digest challenge, else null (Basic challenges, missing header)
+function parseChallenge(header) {
+  const text = [].concat(header || []).find(h => /^\s*Digest\s/i.test(h));
+  if (!text) return null;
+  const params = {};
+  text.replace(/^\s*Digest\s+/i, '').replace(/([a-z0-9_-]+)\s*=\s*(?:"((?:[^"\\]|\\.)*)"|([^,\s]*))/gi, (m, key, quoted, plain) => {
+    params[key.toLowerCase()] = quoted !== undefined ? quoted.replace(/\\(.)/g, '$1') : plain;
+  });
+  return params.nonce ? params : null;
+}
+
+// ── Authorization header answering a challenge for one request
+//    request: { username, password, method, uri }   uri = path and query of the URL
+function authorization(challenge, { username, password, method = 'GET', uri }, nc = 1) {
+  const algorithm = (challenge.algorithm || 'MD5').toUpperCase();
+  const sess      = algorithm.endsWith('-SESS');
+  const hashName  = HASHES[sess ? algorithm.slice(0, -5) : algorithm];
+  if (!hashName) throw new Error(`Unsupported digest algorithm "${challenge.algorithm}"`);
+  const hash = text => crypto.createHash(hashName).update(text).digest('hex');
+
+  const qop    = (challenge.qop || '').split(',').map(q => q.trim()).includes('auth') ? 'auth' : null;
+  const cnonce = crypto.randomBytes(8).toString('hex');
+  const count  = nc.toString(16).padStart(8, '0');
+
+  let ha1 = hash(`${username}:${challenge.realm || ''}:${password}`);
+  if (sess) ha1 = hash(`${ha1}:${challenge.nonce}:${cnonce}`);
+  const ha2      = hash(`${method}:${uri}`);
+  const response = qop
+    ? hash(`${ha1}:${challenge.nonce}:${count}:${cnonce}:${qop}:${ha2}`)
+    : hash(`${ha1}:${challenge.nonce}:${ha2}`);
+
+  const fields = [
+    `username="${username}"`, `realm="${challenge.realm || ''}"`, `nonce="${challenge.nonce}"`,
+    `uri="${uri}"`, `algorithm=${challenge.algorithm || 'MD5'}`, `response="${response}"`
+  ];
+  if (challenge.opaque !== undefined) fields.push(`opaque="${challenge.opaque}"`);
+  if (qop) fields.push(`qop=${qop}`, `nc=${count}`, `cnonce="${cnonce}"`);
+  return `Digest ${fields.join(', ')}`;
+}
+
+module.exports = { parseChallenge, authorization };
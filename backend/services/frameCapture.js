@@ -0,0 +1,125 @@
+// services/frameCapture.js — Record raw indicator frames and replay them later
+//
+// Capture files live in backend/captures/ as JSON lines:
+//   {"type":"header","bridge":"WB1","protocol":"st-gs","endpoint":"serial /dev/ttyUSB0 @ 9600","startedAt":"..."}
+//   {"t":1697040000123,"hex":"53542c47532c2b3033393137306b67"}
+//   ...
+// Frames are stored as hex so STX/ETX framing and checksums survive unchanged.
+
+const fs   = require('fs');
+const path = require('path');
+const protocols = require('./protocols');
+
+const CAPTURE_DIR = path.join(__dirname, '../captures');
+
+function ensureDir() {
+  if (!fs.existsSync(CAPTURE_DIR)) fs.mkdirSync(CAPTURE_DIR, { recursive: true });
+}
+
+// ── Only plain file names inside CAPTURE_DIR are accepted
+function resolveCaptureFile(name) {
+  if (!name) return null;
+  const base = path.basename(String(name));
+  const file = path.join(CAPTURE_DIR, base);
+  return fs.existsSync(file) ? file : null;
+}
+
+function readHeader(file) {
+  try {
+    const fd  = fs.openSync(file, 'r');
+    const buf = Buffer.alloc(1024);
+    const n   = fs.readSync(fd, buf, 0, buf.length, 0);
+    fs.closeSync(fd);
+    const first = buf.subarray(0, n).toString('utf8').split('\n')[0];
+    const header = JSON.parse(first);
+    return header.type === 'header' ? header : null;
+  } catch (e) { return null; }
+}
+
+function listCaptures() {
+  ensureDir();
+  return fs.readdirSync(CAPTURE_DIR)
+    .filter(f => f.endsWith('.jsonl'))
+    .map(name => {
+      const file = path.join(CAPTURE_DIR, name);
+      const stat = fs.statSync(file);
+      return { name, size: stat.size, modified: stat.mtime, header: readHeader(file) };
+    })
+    .sort((a, b) => b.modified - a.modified);
+}
+
+// ─────────────────────────────────────────────
+// RECORDER — one file per recording session
+// ─────────────────────────────────────────────
+class FrameRecorder {
+  constructor(bridgeId, meta = {}) {
+    ensureDir();
+    const stamp = new Date().toISOString().replace(/[:.]/g, '-');
+    this.name   = `${bridgeId.toLowerCase()}_${stamp}.jsonl`;
+    this.file   = path.join(CAPTURE_DIR, this.name);
+    this.count  = 0;
+    this.stream = fs.createWriteStream(this.file, { flags: 'a' });
+    this.stream.on('error', (err) => console.error(`Frame recorder ${this.name}:`, err.message));
+    this.stream.write(JSON.stringify({
+      type: 'header', bridge: bridgeId, ...meta, startedAt: new Date().toISOString()
+    }) + '\n');
+  }
+
+  write(buf) {
+    if (!this.stream) return;
+    this.count++;
+    this.stream.write(JSON.stringify({ t: Date.now(), hex: buf.toString('hex') }) + '\n');
+  }
+
+  stop() {
+    if (this.stream) this.stream.end();
+    this.stream = null;
+  }
+}
+
+// ─────────────────────────────────────────────
+// REPLAY — feeds a capture back with the original timing (÷ speed), looping
+// ─────────────────────────────────────────────
+class FrameReplay {
+  constructor(name, speed = 1) {
+    const file = resolveCaptureFile(name);
+    if (!file) throw new Error(`Capture file "${name}" not found`);
+
+    const lines  = fs.readFileSync(file, 'utf8').split('\n').filter(Boolean);
+    const header = (() => { try { return JSON.parse(lines[0]); } catch (e) { return null; } })();
+    this.name    = path.basename(file);
+    this.speed   = parseFloat(speed) > 0 ? parseFloat(speed) : 1;
+    this.frames  = lines
+      .map(l => { try { return JSON.parse(l); } catch (e) { return null; } })
+      .filter(f => f && f.hex !== undefined && f.t);
+    if (!this.frames.length) throw new Error(`Capture file "${name}" has no frames`);
+
+    // Frames are parsed with the protocol they were recorded with
+    const recorded = header && header.type === 'header' ? header.protocol : null;
+    this.driver = protocols.getDriver(recorded) || null;
+    this.timer  = null;
+    this.index  = 0;
+  }
+
+  start(onFrame) {
+    this.stop();
+    this.index = 0;
+    const step = () => {
+      const frame = this.frames[this.index];
+      onFrame(Buffer.from(frame.hex, 'hex'), this.driver);
+
+      this.index = (this.index + 1) % this.frames.length;
+      const next  = this.frames[this.index];
+      const delay = this.index === 0 ? 1000 : Math.max(0, (next.t - frame.t) / this.speed);
+      this.timer = setTimeout(step, delay);
+    };
+    step();
+  }
+
+  stop() {
+    if (this.timer) clearTimeout(this.timer);
+    this.timer = null;
+  }
+}
+
+module.exports = { CAPTURE_DIR, FrameRecorder, FrameReplay, listCaptures, resolveCaptureFile };
@@ -0,0 +1,147 @@
+// services/imageStore.js — Camera images as files, referenced from bills
+//
+// Bills used to carry each snapshot as a base64 data URL, which made every bill
+// document hundreds of KB. Images now live under IMAGE_DIR (YYYY/MM/ folders) and the
+// bill keeps only a reference in `images` (stage, camera, role, weight, file, thumb, size, sha1...).
+// A thumbnail (IMAGE_THUMB_WIDTH px wide) is written next to each image.
+//
+// Images are served by GET /api/bills/:id/images/:imageId. Each URL is signed with
+// IMAGE_URL_SECRET (random per start when unset) and expires after IMAGE_URL_TTL_MINUTES;
+// bills serialised by the API carry fresh `url` / `thumbUrl` values.
+
+const crypto = require('crypto');
+const fs     = require('fs');
+const path   = require('path');
+
+let sharp = null;
+try { sharp = require('sharp'); } catch (e) { console.warn('⚠️  sharp not available — image thumbnails disabled:', e.message); }
+
+const CONTENT_TYPES = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.gif': 'image/gif' };
+
+class ImageStore {
+  constructor() {
+    this.configure();
+  }
+
+  configure() {
+    this.dir        = path.resolve(process.env.IMAGE_DIR || path.join(__dirname, '../storage/images'));
+    this.thumbWidth = parseInt(process.env.IMAGE_THUMB_WIDTH) || 320;
+    this.ttlMinutes = parseInt(process.env.IMAGE_URL_TTL_MINUTES) || 60;
+    this.secret     = process.env.IMAGE_URL_SECRET || this.secret || crypto.randomBytes(32).toString('hex');
+  }
+
+  _extOf(contentType) {
+    return Object.keys(CONTENT_TYPES).find(ext => CONTENT_TYPES[ext] === contentType) || '.jpg';
+  }
+
+  // ── Decode a data URL (data:image/jpeg;base64,...) into { buffer, contentType }, else null
+  decodeDataUri(uri) {
+    const m = String(uri || '').match(/^data:(image\/[a-z+.-]+);base64,(.+)$/is);
+    if (!m) return null;
+    const buffer = Buffer.from(m[2], 'base64');
+    return buffer.length ? { buffer, contentType: m[1].toLowerCase() } : null;
+  }
+
+  // ── Write an image (and its thumbnail); returns the reference stored on the bill
+  //    meta: { billNo, stage, camera, role, weight, source, capturedAt, contentType }
+  async save(buffer, meta = {}) {
+    const at          = meta.capturedAt ? new Date(meta.capturedAt) : new Date();
+    const contentType = meta.contentType || 'image/jpeg';
+    const folder      = `${at.getFullYear()}/${String(at.getMonth() + 1).padStart(2, '0')}`;
+    const base        = `${meta.billNo || 'bill'}_${meta.stage}_cam${meta.camera}_${at.getTime()}_${crypto.randomBytes(3).toString('hex')}`;
+    const file        = `${folder}/${base}${this._extOf(contentType)}`;
+
+    await fs.promises.mkdir(path.join(this.dir, folder), { recursive: true });
+    await fs.promises.writeFile(this._path(file), buffer);
+    const thumb = await this._writeThumb(buffer, `${folder}/${base}_thumb.jpg`);
+
+    return {
+      stage:       meta.stage,
+      camera:      meta.camera,
+      role:        meta.role || '',
+      weight:      meta.weight ?? null,
+      file,
+      thumb,
+      contentType,
+      size:        buffer.length,
+      sha1:        crypto.createHash('sha1').update(buffer).digest('hex'),
+      source:      meta.source || 'camera',
+      capturedAt:  at
+    };
+  }
+
+  async saveDataUri(uri, meta = {}) {
+    const decoded = this.decodeDataUri(uri);
+    if (!decoded) throw new Error(`Camera ${meta.camera} image must be a base64 data URL (data:image/jpeg;base64,...)`);
+    return this.save(decoded.buffer, { ...meta, contentType: decoded.contentType });
+  }
+
+  // Thumbnails are optional: without sharp, or for an image it cannot read, the full image is served
+  async _writeThumb(buffer, file) {
+    if (!sharp) return null;
+    try {
+      await sharp(buffer).rotate().resize({ width: this.thumbWidth, withoutEnlargement: true })
+        .jpeg({ quality: 70 }).toFile(this._path(file));
+      return file;
+    } catch (err) {
+      console.warn(`Thumbnail for ${file} failed (non-fatal):`, err.message);
+      return null;
+    }
+  }
+
+  // Absolute path of a stored file; refuses anything outside IMAGE_DIR
+  _path(file) {
+    const full = path.resolve(this.dir, file);
+    if (!full.startsWith(this.dir + path.sep)) throw new Error('Invalid image path');
+    return full;
+  }
+
+  // ── { path, contentType } of an image or its thumbnail (the image when it has none)
+  locate(ref, variant = 'full') {
+    const thumb = variant === 'thumb' && ref.thumb;
+    return { path: this._path(thumb ? ref.thumb : ref.file), contentType: thumb ? 'image/jpeg' : (ref.contentType || 'image/jpeg') };
+  }
+
+  async dataUri(ref, variant = 'full') {
+    if (!ref) return '';
+    const { path: file, contentType } = this.locate(ref, variant);
+    try {
+      return `data:${contentType};base64,${(await fs.promises.readFile(file)).toString('base64')}`;
+    } catch (err) {
+      console.warn(`Image ${ref.file} unreadable:`, err.message);
+      return '';
+    }
+  }
+
+  async remove(refs) {
+    for (const ref of refs || []) {
+      for (const file of [ref.file, ref.thumb].filter(Boolean)) {
+        await fs.promises.unlink(this._path(file)).catch(() => {});
+      }
+    }
+  }
+
+  // ── Signed URL of a bill image (variant 'thumb' for the thumbnail)
+  url(billId, imageId, variant = 'full') {
+    const expires = Date.now() + this.ttlMinutes * 60000;
+    const sig     = this._sign(billId, imageId, expires);
+    return `/api/bills/${billId}/images/${imageId}?${variant === 'thumb' ? 'size=thumb&' : ''}expires=${expires}&sig=${sig}`;
+  }
+
+  _sign(billId, imageId, expires) {
+    return crypto.createHmac('sha256', this.secret).update(`${billId}:${imageId}:${expires}`).digest('hex').slice(0, 32);
+  }
+
+  // ── Error message for a request's signature, else null
+  verify(billId, imageId, { expires, sig } = {}) {
+    if (!expires || !sig) return 'Image URL is not signed';
+    if (!(parseInt(expires) > Date.now())) return 'Image URL has expired';
+    const expected = Buffer.from(this._sign(billId, imageId, expires));
+    const given    = Buffer.from(String(sig));
+    if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) return 'Invalid image signature';
+    return null;
+  }
+}
+
+module.exports = new ImageStore();
+module.exports.CONTENT_TYPES = CONTENT_TYPES;
@@ -0,0 +1,71 @@
+// services/orderReconciliation.js — Net weights against purchase / sales orders
+//
+// A bill may reference an order (models/Order.js) together with the net weight its
+// supplier invoice or delivery note states (`expectedNet`, kg) and a tolerance in
+// percent (the order's, else ORDER_TOLERANCE_PERCENT). Once the bill has a net
+// weight the variance is stored on it:
+//   variance         net − expected, kg (negative = short delivery)
+//   variancePercent  variance as a percentage of the expected weight
+//   withinTolerance  false when |variancePercent| exceeds the tolerance
+//
+// Per order, completed bills add up to the delivered quantity; the balance is what
+// is left of the ordered quantity (negative once more was delivered than ordered).
+
+const weightUnits = require('./weightUnits');
+const csv         = require('./csv');
+
+const REPORT_COLUMNS = [
+  'billNo', 'dateTime', 'orderNo', 'vehicleNo', 'material', 'customer',
+  'netWeight', 'expectedNet', 'variance', 'variancePercent', 'tolerancePercent', 'withinTolerance'
+];
+
+function percent(n) {
+  return Math.round(n * 100) / 100;
+}
+
+class OrderReconciliation {
+  defaultTolerance() {
+    const t = parseFloat(process.env.ORDER_TOLERANCE_PERCENT);
+    return t >= 0 ? t : 0.5;
+  }
+
+  // ── { variance, variancePercent, withinTolerance }, all null until net and expected are known
+  variance(netWeight, expectedNet, tolerancePercent) {
+    if (netWeight == null || !(expectedNet > 0)) return { variance: null, variancePercent: null, withinTolerance: null };
+    const variance = weightUnits.round(netWeight - expectedNet);
+    const variancePercent = percent(variance / expectedNet * 100);
+    const tolerance = tolerancePercent != null ? tolerancePercent : this.defaultTolerance();
+    return { variance, variancePercent, withinTolerance: Math.abs(variancePercent) <= tolerance };
+  }
+
+  // ── Balance of an order from its delivered totals ({ delivered, trips, outOfTolerance })
+  summary(order, totals = {}) {
+    const delivered = weightUnits.round(totals.delivered || 0);
+    const tolerance = order.tolerancePercent != null ? order.tolerancePercent : this.defaultTolerance();
+    const balance   = weightUnits.round(order.quantity - delivered);
+    return {
+      delivered,
+      trips:            totals.trips || 0,
+      outOfTolerance:   totals.outOfTolerance || 0,
+      balance,
+      deliveredPercent: order.quantity > 0 ? percent(delivered / order.quantity * 100) : null,
+      tolerancePercent: tolerance,
+      overDelivered:    delivered > order.quantity * (1 + tolerance / 100)
+    };
+  }
+
+  // ── Variance report rows as CSV
+  toCSV(bills) {
+    const rows = [REPORT_COLUMNS.join(',')];
+    bills.forEach(b => {
+      const o = b.order || {};
+      rows.push(csv.row([
+        b.docNo || b.billNo, b.dateTime, o.orderNo, b.vehicleNo, b.material, b.customer,
+        b.netWeight, o.expectedNet, o.variance, o.variancePercent, o.tolerancePercent, o.withinTolerance
+      ]));
+    });
+    return rows.join('\n');
+  }
+}
+
+module.exports = new OrderReconciliation();
@@ -0,0 +1,228 @@
+// services/plateRecognizer.js — Number plate recognition on camera snapshots
+//
+// Reads the plate on the snapshots of cameraService with a local recognizer, so the
+// vehicle no. can be suggested when a bill is opened and checked at every weighing:
+//   PLATE_RECOGNIZER=off      (default) nothing is read
+//   PLATE_RECOGNIZER=command  runs PLATE_COMMAND per image; `{image}` in it is replaced by the
+//                             path of a temporary JPEG, without it the image is piped to stdin
+//                             e.g. PLATE_COMMAND=alpr -j -c in {image}
+//   PLATE_RECOGNIZER=http     POSTs the image as multipart field PLATE_HTTP_FIELD (default
+//                             upload) to PLATE_URL, e.g. a local Plate Recognizer / CodeProject.AI server
+// Output is JSON — { plate, confidence }, a list of those, or { results: [...] } as OpenALPR and
+// Plate Recognizer answer (confidence or score, 0–1 or 0–100) — or plain text "PLATE [confidence]".
+//
+// PLATE_CAMERAS limits reading to some cameras (comma separated numbers, empty = all); the
+// most confident read wins. Reads under PLATE_MIN_CONFIDENCE are kept on the bill but never
+// suggested or compared. Plates compare on letters and digits only ("TN 32 AQ-2399" = "TN32AQ2399").
+
+const fs       = require('fs');
+const os       = require('os');
+const path     = require('path');
+const crypto   = require('crypto');
+const { execFile } = require('child_process');
+const axios    = require('axios');
+
+const RECOGNIZERS       = ['off', 'command', 'http'];
+const SUGGESTION_TTL_MS = 2 * 60 * 1000;   // a suggestion is stored on a bill created this soon after
+
+const DEFAULTS = {
+  recognizer:    'off',
+  command:       '',
+  url:           '',
+  httpField:     'upload',
+  timeoutMs:     5000,
+  minConfidence: 0.6,
+  cameras:       []
+};
+
+function cameraList(cameras) {
+  const list = Array.isArray(cameras) ? cameras : String(cameras || '').split(',');
+  return list.map(c => parseInt(c)).filter(n => n > 0);
+}
+
+// Command line → [file, ...args]; "double" or 'single' quotes keep spaces
+function splitCommand(command) {
+  const parts = [];
+  String(command).replace(/"([^"]*)"|'([^']*)'|(\S+)/g, (m, dq, sq, plain) => { parts.push(dq ?? sq ?? plain); });
+  return parts;
+}
+
+function confidenceOf(value) {
+  const n = parseFloat(value);
+  if (isNaN(n)) return null;
+  return Math.round((n > 1 ? n / 100 : n) * 1000) / 1000;
+}
+
+// ── Best { text, confidence } of a recognizer's answer, else null
+function parseResult(output) {
+  let data = output;
+  if (Buffer.isBuffer(data)) data = data.toString('utf8');
+  if (typeof data === 'string') {
+    const text = data.trim();
+    if (!text) return null;
+    try {
+      data = JSON.parse(text);
+    } catch (e) {
+      const [plate, confidence] = text.split('\n')[0].trim().split(/\s+/);
+      return { text: plate, confidence: confidenceOf(confidence) };
+    }
+  }
+  const list = Array.isArray(data) ? data : (data && Array.isArray(data.results) ? data.results : [data]);
+  const reads = list
+    .filter(r => r && (r.plate || r.text))
+    .map(r => ({ text: String(r.plate || r.text), confidence: confidenceOf(r.confidence ?? r.score) }));
+  reads.sort((a, b) => (b.confidence ?? -1) - (a.confidence ?? -1));
+  return reads[0] || null;
+}
+
+class PlateRecognizer {
+  constructor() {
+    this.suggestions = new Map();   // bridge id → { read, at }
+    this.configure(PlateRecognizer.configFromEnv());
+  }
+
+  static configFromEnv(env = process.env) {
+    const cfg = {};
+    if (env.PLATE_RECOGNIZER)      cfg.recognizer    = env.PLATE_RECOGNIZER;
+    if (env.PLATE_COMMAND)         cfg.command       = env.PLATE_COMMAND;
+    if (env.PLATE_URL)             cfg.url           = env.PLATE_URL;
+    if (env.PLATE_HTTP_FIELD)      cfg.httpField     = env.PLATE_HTTP_FIELD;
+    if (env.PLATE_TIMEOUT_MS)      cfg.timeoutMs     = env.PLATE_TIMEOUT_MS;
+    if (env.PLATE_MIN_CONFIDENCE)  cfg.minConfidence = env.PLATE_MIN_CONFIDENCE;
+    if (env.PLATE_CAMERAS !== undefined) cfg.cameras = env.PLATE_CAMERAS;
+    return cfg;
+  }
+
+  // ── Error message for a config sent by the UI, else null
+  validate(cfg) {
+    const merged = { ...this.config, ...Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined)) };
+    if (!RECOGNIZERS.includes(merged.recognizer)) return `Unknown plate recognizer "${merged.recognizer}". Use one of: ${RECOGNIZERS.join(', ')}`;
+    if (merged.recognizer === 'command' && !String(merged.command).trim()) return 'Set PLATE_COMMAND in backend/.env and restart before using the command recognizer';
+    if (merged.recognizer === 'http' && !/^https?:\/\//i.test(merged.url)) return 'url must start with http:// or https:// for the http recognizer';
+    if (cfg.timeoutMs !== undefined && !(parseInt(cfg.timeoutMs) > 0)) return 'timeoutMs must be a positive number of milliseconds';
+    if (cfg.minConfidence !== undefined && !(parseFloat(cfg.minConfidence) >= 0 && parseFloat(cfg.minConfidence) <= 1)) return 'minConfidence must be between 0 and 1';
+    if (cfg.cameras !== undefined && String(cfg.cameras).trim() && !cameraList(cfg.cameras).length) return 'cameras must be camera numbers, e.g. 1,3';
+    return null;
+  }
+
+  configure(cfg = {}) {
+    const given  = Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined));
+    const merged = { ...DEFAULTS, ...(this.config || {}), ...given };
+    const minConfidence = parseFloat(merged.minConfidence);
+    this.config = {
+      recognizer:    RECOGNIZERS.includes(merged.recognizer) ? merged.recognizer : 'off',
+      command:       String(merged.command || '').trim(),
+      url:           String(merged.url || '').trim(),
+      httpField:     String(merged.httpField || DEFAULTS.httpField).trim(),
+      timeoutMs:     parseInt(merged.timeoutMs) || DEFAULTS.timeoutMs,
+      minConfidence: isNaN(minConfidence) ? DEFAULTS.minConfidence : minConfidence,
+      cameras:       cameraList(merged.cameras)
+    };
+    this.suggestions.clear();
+    return this.config;
+  }
+
+  enabled() {
+    return this.config.recognizer !== 'off';
+  }
+
+  // ── Plate reduced to letters and digits, for comparing
+  normalize(text) {
+    return String(text || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+  }
+
+  confident(read) {
+    return !!read && read.confidence !== null && read.confidence >= this.config.minConfidence;
+  }
+
+  // ── Whether a read agrees with a vehicle no.; null when the read is not confident enough to say
+  matches(read, vehicleNo) {
+    if (!this.confident(read)) return null;
+    return this.normalize(read.text) === this.normalize(vehicleNo);
+  }
+
+  // ── Plate of one image: { text, confidence } or null; throws when the recognizer fails
+  async recognizeImage(buffer) {
+    const read = this.config.recognizer === 'command' ? await this._runCommand(buffer)
+      : this.config.recognizer === 'http' ? await this._post(buffer)
+      : null;
+    return read && this.normalize(read.text) ? { text: this.normalize(read.text), confidence: read.confidence } : null;
+  }
+
+  // ── Most confident read of a capture's snapshots (cameraService.captureAll), or null.
+  //    A camera the recognizer fails on is logged and skipped.
+  async recognize(snapshots) {
+    if (!this.enabled()) return null;
+    const wanted = this.config.cameras;
+    const reads  = [];
+    for (const snap of snapshots.filter(s => !wanted.length || wanted.includes(s.camera))) {
+      try {
+        const read = await this.recognizeImage(snap.data);
+        if (read) reads.push({ ...read, camera: snap.camera, role: snap.role || '' });
+      } catch (err) {
+        console.warn(`Plate recognition on camera ${snap.camera} failed:`, err.message);
+      }
+    }
+    reads.sort((a, b) => (b.confidence ?? -1) - (a.confidence ?? -1));
+    return reads[0] || null;
+  }
+
+  // ── Bill plate read (WeighBill plateReads) of a stage: the read, the vehicle no. typed then and whether they agree
+  entry(stage, read, vehicleNo) {
+    return {
+      stage,
+      text:       read.text,
+      confidence: read.confidence,
+      camera:     read.camera,
+      role:       read.role || '',
+      vehicleNo:  vehicleNo || '',
+      match:      this.matches(read, vehicleNo),
+      at:         new Date()
+    };
+  }
+
+  // ── Last suggestion made for a bridge, kept so the bill created next records it
+  remember(bridgeId, read) {
+    if (read) this.suggestions.set(bridgeId, { read, at: Date.now() });
+    else this.suggestions.delete(bridgeId);
+  }
+
+  suggestion(bridgeId) {
+    const last = this.suggestions.get(bridgeId);
+    return last && Date.now() - last.at <= SUGGESTION_TTL_MS ? last.read : null;
+  }
+
+  async _runCommand(buffer) {
+    const [file, ...args] = splitCommand(this.config.command);
+    const usesFile = args.some(a => a.includes('{image}'));
+    const image    = usesFile ? path.join(os.tmpdir(), `plate-${crypto.randomBytes(6).toString('hex')}.jpg`) : null;
+    if (image) await fs.promises.writeFile(image, buffer);
+    try {
+      const stdout = await new Promise((resolve, reject) => {
+        const child = execFile(file, args.map(a => a.split('{image}').join(image)),
+          { timeout: this.config.timeoutMs, maxBuffer: 1024 * 1024 },
+          (err, out, stderr) => (err ? reject(new Error(String(stderr).trim() || err.message.trim())) : resolve(out)));
+        child.stdin.on('error', () => {});
+        child.stdin.end(usesFile ? undefined : buffer);
+      });
+      return parseResult(stdout);
+    } finally {
+      if (image) fs.promises.unlink(image).catch(() => {});
+    }
+  }
+
+  async _post(buffer) {
+    const form = new FormData();
+    form.append(this.config.httpField, new Blob([buffer], { type: 'image/jpeg' }), 'snapshot.jpg');
+    const response = await axios.post(this.config.url, form, { timeout: this.config.timeoutMs });
+    return parseResult(response.data);
+  }
+
+  getConfig() {
+    return { ...this.config, cameras: this.config.cameras.join(','), recognizers: RECOGNIZERS };
+  }
+}
+
+module.exports = new PlateRecognizer();
+module.exports.RECOGNIZERS = RECOGNIZERS;
+module.exports.parseResult = parseResult;
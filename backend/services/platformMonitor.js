@@ -0,0 +1,122 @@
+// services/platformMonitor.js — Platform state and return-to-zero between weighings
+//
+// States:
+//   empty      — reading inside the zero band
+//   loading    — above the zero band, not yet stable (vehicle driving on)
+//   settled    — above the zero band and stable
+//   unloading  — fell below the last settled weight while in motion (driving off)
+//
+// After a capture the platform is "disarmed" until the reading has been back
+// inside the zero band, so one vehicle cannot be weighed twice without leaving.
+// While the platform sits empty for the settle time, the reading is the zero
+// offset; an offset beyond `driftLimit` either side of zero is reported as zero drift.
+//
+// Rule fields:
+//   zeroBand       — readings at or below this (kg) count as an empty platform
+//   driftLimit     — settled empty reading (kg, above or below zero) beyond which zero drift is reported
+//   requireReturn  — refuse captures until the platform returned to zero
+
+const DEFAULT_RULE = {
+  zeroBand:      50,
+  driftLimit:    20,
+  requireReturn: true
+};
+
+class PlatformMonitor {
+  constructor(rule = {}) {
+    this.state         = 'empty';
+    this.armed         = true;
+    this.lastWeight    = 0;
+    this.settledWeight = null;
+    this.emptySince    = null;
+    this.zeroReading   = null;
+    this.drift         = false;
+    this.lastCapture   = null;
+    this.configure(rule);
+  }
+
+  // ── Build a rule from PLATFORM_* environment variables
+  static ruleFromEnv(env = process.env) {
+    const rule = {};
+    if (env.PLATFORM_ZERO_BAND)     rule.zeroBand      = env.PLATFORM_ZERO_BAND;
+    if (env.PLATFORM_ZERO_DRIFT)    rule.driftLimit    = env.PLATFORM_ZERO_DRIFT;
+    if (env.PLATFORM_REQUIRE_ZERO)  rule.requireReturn = env.PLATFORM_REQUIRE_ZERO;
+    return rule;
+  }
+
+  configure(rule = {}) {
+    const merged = { ...DEFAULT_RULE, ...(this.rule || {}), ...rule };
+    this.rule = {
+      zeroBand:      Math.max(0, parseFloat(merged.zeroBand) || 0),
+      driftLimit:    Math.max(0, parseFloat(merged.driftLimit) || 0),
+      requireReturn: !(merged.requireReturn === false || merged.requireReturn === 'false')
+    };
+    return this.rule;
+  }
+
+  // ── Feed one reading; returns { stateChanged, driftChanged }
+  push(weight, stable, settleMs = 0, now = Date.now()) {
+    const prevState = this.state;
+    const prevDrift = this.drift;
+
+    if (weight <= this.rule.zeroBand) {
+      this.state         = 'empty';
+      this.armed         = true;
+      this.settledWeight = null;
+      if (this.emptySince == null) this.emptySince = now;
+      if (now - this.emptySince >= settleMs) {
+        this.zeroReading = weight;
+        this.drift       = Math.abs(weight) > this.rule.driftLimit;
+      }
+    } else {
+      this.emptySince = null;
+      if (stable) {
+        this.state         = 'settled';
+        this.settledWeight = weight;
+      } else if (this.settledWeight != null && weight < this.settledWeight) {
+        this.state = 'unloading';
+      } else {
+        this.state = 'loading';
+      }
+    }
+
+    this.lastWeight = weight;
+    return { stateChanged: this.state !== prevState, driftChanged: this.drift !== prevDrift };
+  }
+
+  // ── Called after a weight has been captured from this platform
+  markCaptured(label, weight) {
+    this.armed       = false;
+    this.lastCapture = { label: label != null ? String(label) : null, weight, at: new Date().toISOString() };
+  }
+
+  // ── { ok, reason } — whether a new weighing may be captured now
+  canCapture() {
+    if (!this.rule.requireReturn || this.armed) return { ok: true };
+    const prev = this.lastCapture && this.lastCapture.label ? ` (previous capture: bill #${this.lastCapture.label})` : '';
+    return {
+      ok: false,
+      reason: `Platform has not returned to zero since the previous capture${prev}. ` +
+              `Clear the platform (≤ ${this.rule.zeroBand} kg) before the next weighing.`
+    };
+  }
+
+  getInfo() {
+    return {
+      state:       this.state,
+      armed:       this.armed,
+      lastCapture: this.lastCapture,
+      zero: {
+        reading: this.zeroReading,
+        drift:   this.drift,
+        band:    this.rule.zeroBand,
+        limit:   this.rule.driftLimit
+      },
+      rule: this.rule
+    };
+  }
+}
+
+PlatformMonitor.DEFAULT_RULE = DEFAULT_RULE;
+
+module.exports = PlatformMonitor;
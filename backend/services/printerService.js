@@ -6,6 +6,8 @@ const net = require('net');
 const { exec, execSync } = require('child_process');
 const path = require('path');
 const fs = require('fs');
+const weightUnits = require('./weightUnits');
+const customFields = require('./customFields');
 
 class PrinterService {
   constructor() {
@@ -26,8 +28,11 @@ class PrinterService {
   // ─────────────────────────────────────────────
   // MAIN ENTRY: print a bill
   // ─────────────────────────────────────────────
+  // options.customFields: active custom field definitions (those flagged showOnReceipt are printed)
+  // options.images: [{ stage, camera, role, weight, capturedAt, src }] with src a data URL from
+  // imageStore (the receipt is self-contained); options.cameras: [{ camera, role }] printed
   async printBill(bill, companySettings = {}, options = {}) {
-    const { printerType, printerName, ipHost, ipPort, copies = 1 } = options;
+    const { printerType, printerName, ipHost, ipPort, copies = 1, customFields: fields = [], images = [], cameras = null } = options;
 
     const type   = printerType  || this.defaultPrinterType;
     const pName  = printerName  || this.localPrinterName;
@@ -35,13 +40,13 @@ class PrinterService {
     const port   = ipPort       || this.ipPrinterPort;
 
     // Build the HTML receipt
-    const html = this.buildBillHTML(bill, companySettings);
+    const html = this.buildBillHTML(bill, companySettings, fields, images, cameras);
 
-    console.log(`🖨  Printing bill #${bill.billNo} via [${type}] ...`);
+    console.log(`🖨  Printing bill #${this._serialNo(bill)} via [${type}] ...`);
 
     switch (type) {
       case 'ip':
-        return await this.printViaIP(html, bill, host, port, copies);
+        return await this.printViaIP(html, bill, host, port, copies, fields);
       case 'html':
         // Return HTML string (for browser-based window.print())
         return { success: true, method: 'html', html };
@@ -49,7 +54,7 @@ class PrinterService {
         return await this.printViaPDF(html, bill, pName, copies);
       case 'local':
       default:
-        return await this.printViaLocal(html, bill, pName, copies);
+        return await this.printViaLocal(html, bill, pName, copies, fields);
     }
   }
 
@@ -57,7 +62,7 @@ class PrinterService {
   // LOCAL PRINTER (Windows/Linux/macOS)
   // Uses OS print queue via lp / lpr / PowerShell
   // ─────────────────────────────────────────────
-  async printViaLocal(html, bill, printerName, copies = 1) {
+  async printViaLocal(html, bill, printerName, copies = 1, fields = []) {
     const htmlFile = path.join(this.tempDir, `bill_${bill.billNo}_${Date.now()}.html`);
     fs.writeFileSync(htmlFile, html, 'utf8');
 
@@ -88,7 +93,7 @@ class PrinterService {
       this._cleanupTemp(htmlFile);
       // Fallback: try raw text via ESC/POS or simple text
       console.warn('Local HTML print failed, trying raw text fallback:', err.message);
-      return await this._printRawText(bill, printerName, copies);
+      return await this._printRawText(bill, printerName, copies, fields);
     }
   }
 
@@ -96,7 +101,7 @@ class PrinterService {
   // IP NETWORK PRINTER (RAW port 9100 / JetDirect)
   // Sends HTML converted to PostScript or raw PCL
   // ─────────────────────────────────────────────
-  async printViaIP(html, bill, host, port, copies = 1) {
+  async printViaIP(html, bill, host, port, copies = 1, fields = []) {
     // First try to generate PostScript/PDF via wkhtmltopdf, then send via socket
     const pdfFile = path.join(this.tempDir, `bill_${bill.billNo}_${Date.now()}.pdf`);
     const htmlFile = path.join(this.tempDir, `bill_${bill.billNo}_${Date.now()}.html`);
@@ -118,7 +123,7 @@ class PrinterService {
       this._cleanupTemp(htmlFile, pdfFile);
 
       // Fallback: send raw PCL/text to IP printer
-      const rawData = this._buildRawPCL(bill);
+      const rawData = this._buildRawPCL(bill, fields);
       for (let i = 0; i < copies; i++) {
         await this._sendRawToIPPrinter(rawData, host, port);
       }
@@ -189,7 +194,7 @@ class PrinterService {
   // ─────────────────────────────────────────────
   // RAW PCL TEXT fallback for basic printers
   // ─────────────────────────────────────────────
-  _buildRawPCL(bill) {
+  _buildRawPCL(bill, fields = []) {
     const lines = [
       '\x1B%-12345X@PJL\r\n',       // PJL header
       '@PJL ENTER LANGUAGE=PCL\r\n',
@@ -199,20 +204,26 @@ class PrinterService {
       '\r\n',
       `SRI VENKADESWARA WEIGH BRIDGE\r\n`,
       `${'─'.repeat(48)}\r\n`,
-      `Serial No : ${bill.billNo}    Date: ${new Date(bill.dateTime).toLocaleDateString('en-IN')}\r\n`,
+      `Serial No : ${this._serialNo(bill)}${bill.revision ? ` Rev.${bill.revision}` : ''}    Date: ${new Date(bill.dateTime).toLocaleDateString('en-IN')}\r\n`,
       `Time      : ${new Date(bill.dateTime).toLocaleTimeString('en-IN')}\r\n`,
       `${'─'.repeat(48)}\r\n`,
+      ...(bill.status === 'cancelled' ? [
+        `*** CANCELLED *** ${this._cancelNote(bill)}\r\n`,
+        `${'─'.repeat(48)}\r\n`
+      ] : []),
       `Vehicle No    : ${bill.vehicleNo}\r\n`,
       `Customer Name : ${bill.customer}\r\n`,
       `Material      : ${bill.material}\r\n`,
       `Charge        : Rs. ${bill.charges}\r\n`,
+      ...customFields.rows(fields, bill).map(r => `${r.label.slice(0, 14).padEnd(14)}: ${r.value}\r\n`),
+      ...this._orderRows(bill).map(([label, value]) => `${label.padEnd(14)}: ${value}\r\n`),
       `${'─'.repeat(48)}\r\n`,
-      `Gross Weight  : ${bill.grossWeight?.value || '--'} Kg\r\n`,
+      `Gross Weight  : ${bill.grossWeight?.value ? weightUnits.format(bill.grossWeight.value) : '--'}${this._sourceMark(bill.grossWeight, ' ')}\r\n`,
       `               ${bill.grossWeight?.timestamp ? new Date(bill.grossWeight.timestamp).toLocaleString('en-IN') : ''}\r\n`,
-      `Tare Weight   : ${bill.tareWeight?.value || '--'} Kg\r\n`,
+      `Tare Weight   : ${bill.tareWeight?.value ? weightUnits.format(bill.tareWeight.value) : '--'}${this._sourceMark(bill.tareWeight, ' ')}\r\n`,
       `               ${bill.tareWeight?.timestamp ? new Date(bill.tareWeight.timestamp).toLocaleString('en-IN') : ''}\r\n`,
       `${'─'.repeat(48)}\r\n`,
-      `NET WEIGHT    : ${bill.netWeight || '--'} Kg\r\n`,
+      `NET WEIGHT    : ${bill.netWeight ? weightUnits.format(bill.netWeight) : '--'}\r\n`,
       `${'─'.repeat(48)}\r\n`,
       `\r\n\r\n\r\n`,
       '\x1BE',  // PCL reset
@@ -221,9 +232,9 @@ class PrinterService {
     return Buffer.from(lines.join(''), 'utf8');
   }
 
-  _printRawText(bill, printerName, copies) {
+  _printRawText(bill, printerName, copies, fields = []) {
     return new Promise((resolve) => {
-      const rawText = this._buildRawPCL(bill);
+      const rawText = this._buildRawPCL(bill, fields);
       const tmpFile = path.join(this.tempDir, `raw_${Date.now()}.prn`);
       fs.writeFileSync(tmpFile, rawText);
 
@@ -295,7 +306,10 @@ class PrinterService {
   // ─────────────────────────────────────────────
   // BUILD BILL HTML — exact layout matching the receipt image
   // ─────────────────────────────────────────────
-  buildBillHTML(bill, company = {}) {
+  // fields: active custom field definitions — those flagged showOnReceipt get a row
+  // images: the bill's camera images as [{ stage, camera, role, weight, capturedAt, src }]
+  // cameras: [{ camera, role }] that get a box — default cameras 1 and 2; [] prints none
+  buildBillHTML(bill, company = {}, fields = [], images = [], cameras = null) {
     const name     = company.name    || 'SRI VENKADESWARA WEIGH BRIDGE';
     const addr1    = company.addr1   || 'CHENNAI-THIRUVANAMALAI BYEPASS ROAD';
     const addr2    = company.addr2   || 'NEAR BY SANDHAI MEDU . THINDIVANAM - 604 001';
@@ -306,21 +320,14 @@ class PrinterService {
     const dateStr  = billDate.toLocaleDateString('en-IN', { day:'2-digit', month:'2-digit', year:'numeric' });
     const timeStr  = billDate.toLocaleTimeString('en-IN', { hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:true });
 
-    const grossTime = bill.grossWeight?.timestamp
-      ? new Date(bill.grossWeight.timestamp).toLocaleString('en-IN', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:true })
-      : '';
-    const tareTime = bill.tareWeight?.timestamp
-      ? new Date(bill.tareWeight.timestamp).toLocaleString('en-IN', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:true })
-      : '';
-
-    const cam1 = bill.camera1Image || '';
-    const cam2 = bill.camera2Image || '';
+    const grossTime = this._stamp(bill.grossWeight?.timestamp);
+    const tareTime  = this._stamp(bill.tareWeight?.timestamp);
 
     return `<!DOCTYPE html>
 <html>
 <head>
 <meta charset="UTF-8"/>
-<title>Weigh Bridge Receipt - Bill #${bill.billNo}</title>
+<title>Weigh Bridge Receipt - Bill #${this._serialNo(bill)}</title>
 <style>
   @page {
     size: A4 portrait;
@@ -420,6 +427,13 @@ class PrinterService {
     padding: 1px 5px;
     border-radius: 2px;
   }
+  .cameras.compact .cam-box { aspect-ratio: 16/7; min-height: 70px; }
+  .cam-stage {
+    font-size: 11px;
+    font-weight: bold;
+    text-transform: uppercase;
+    margin-bottom: 3px;
+  }
   .cam-no-image {
     width: 100%;
     height: 100%;
@@ -501,8 +515,47 @@ class PrinterService {
     margin-top: 3px;
     font-family: monospace;
   }
+  .w-box .w-source {
+    display: inline-block;
+    font-size: 9px;
+    font-weight: bold;
+    border: 1px solid #000;
+    padding: 0 4px;
+    margin-top: 3px;
+  }
   .w-box.net-box { background: #f0fff0; }
+
+  /* ── CANCELLED ── */
+  .watermark {
+    position: fixed;
+    top: 40%;
+    left: 0;
+    right: 0;
+    text-align: center;
+    font-size: 96px;
+    font-weight: bold;
+    letter-spacing: 8px;
+    color: rgba(200, 0, 0, 0.18);
+    transform: rotate(-30deg);
+    pointer-events: none;
+    z-index: 10;
+  }
+  .cancel-note {
+    border: 1.5px solid #c00;
+    color: #c00;
+    font-size: 11px;
+    font-weight: bold;
+    padding: 4px 8px;
+    margin-bottom: 8px;
+  }
   .w-box.net-box .w-value { font-size: 20px; color: #006600; }
+  .variance-note {
+    border: 1.5px dashed #000;
+    font-size: 11px;
+    font-weight: bold;
+    padding: 4px 8px;
+    margin-bottom: 8px;
+  }
 
   /* ── FOOTER ── */
   .footer {
@@ -565,24 +618,17 @@ class PrinterService {
 
 <!-- ── META ROW ── -->
 <div class="meta-row">
-  <span><b>Serial No</b> :- ${bill.billNo}</span>
+  <span><b>Serial No</b> :- ${this._serialNo(bill)}${bill.revision ? ` &nbsp;<b>Rev.</b> ${bill.revision}` : ''}</span>
   <span><b>Date</b> :- ${dateStr}</span>
   <span><b>Time</b> :- ${timeStr}</span>
 </div>
 
+${bill.status === 'cancelled' ? `<div class="watermark">CANCELLED</div>
+<div class="cancel-note">CANCELLED ${this._cancelNote(bill, text => this._escape(text))}</div>` : ''}
+${bill.order?.withinTolerance === false ? `<div class="variance-note">OUT OF TOLERANCE — order ${this._escape(bill.order.orderNo)}: ${this._varianceText(bill.order)}</div>` : ''}
+
 <!-- ── CAMERAS ── -->
-<div class="cameras">
-  <div class="cam-box">
-    ${cam1
-      ? `<img src="${cam1}" alt="Camera 1" /><span class="cam-timestamp">${grossTime}</span><span class="cam-label">IPC</span>`
-      : `<div class="cam-no-image">NO CAMERA 1 IMAGE</div>`}
-  </div>
-  <div class="cam-box">
-    ${cam2
-      ? `<img src="${cam2}" alt="Camera 2" /><span class="cam-timestamp">${grossTime}</span><span class="cam-label">Channel4</span>`
-      : `<div class="cam-no-image">NO CAMERA 2 IMAGE</div>`}
-  </div>
-</div>
+${this._cameraRows(bill, images, cameras)}
 
 <!-- ── DETAILS + WEIGHTS ── -->
 <div class="details">
@@ -593,6 +639,8 @@ class PrinterService {
       <tr><td>Customer Name</td><td>:- ${bill.customer}</td></tr>
       <tr><td>Material</td><td>:- ${bill.material}</td></tr>
       <tr><td>Charge</td><td>:- ₹ ${bill.charges?.toFixed ? bill.charges.toFixed(2) : bill.charges}</td></tr>
+      ${customFields.rows(fields, bill).map(r => `<tr><td>${this._escape(r.label)}</td><td>:- ${this._escape(r.value)}</td></tr>`).join('\n      ')}
+      ${this._orderRows(bill).map(([label, value]) => `<tr><td>${label}</td><td>:- ${this._escape(value)}</td></tr>`).join('\n      ')}
     </table>
   </div>
 
@@ -601,17 +649,19 @@ class PrinterService {
     <div class="weight-boxes">
       <div class="w-box">
         <div class="w-label">Gross Weight</div>
-        <div class="w-value">${bill.grossWeight?.value ? bill.grossWeight.value.toLocaleString('en-IN') + '-Kg' : '--'}</div>
+        <div class="w-value">${bill.grossWeight?.value ? weightUnits.format(bill.grossWeight.value, { separator: '-' }) : '--'}</div>
         <div class="w-time">${grossTime}</div>
+        ${this._sourceMark(bill.grossWeight) ? `<div class="w-source">${this._sourceMark(bill.grossWeight)}</div>` : ''}
       </div>
       <div class="w-box">
         <div class="w-label">Tare Weight</div>
-        <div class="w-value">${bill.tareWeight?.value ? bill.tareWeight.value.toLocaleString('en-IN') + '-Kg' : '--'}</div>
+        <div class="w-value">${bill.tareWeight?.value ? weightUnits.format(bill.tareWeight.value, { separator: '-' }) : '--'}</div>
         <div class="w-time">${tareTime}</div>
+        ${this._sourceMark(bill.tareWeight) ? `<div class="w-source">${this._sourceMark(bill.tareWeight)}</div>` : ''}
       </div>
       <div class="w-box net-box">
         <div class="w-label">Net Weight</div>
-        <div class="w-value">${bill.netWeight ? bill.netWeight.toLocaleString('en-IN') + '-Kg' : '--'}</div>
+        <div class="w-value">${bill.netWeight ? weightUnits.format(bill.netWeight, { separator: '-' }) : '--'}</div>
         <div class="w-time">&nbsp;</div>
       </div>
     </div>
@@ -637,6 +687,83 @@ class PrinterService {
   // ─────────────────────────────────────────────
   // HELPERS
   // ─────────────────────────────────────────────
+  // Receipt marker for weights not read from a live indicator
+  _sourceMark(weighing, prefix = '') {
+    const marks = { manual: 'MANUAL ENTRY', simulation: 'SIMULATED', stored_tare: 'STORED TARE' };
+    let mark = weighing && marks[weighing.source];
+    if (mark && weighing.source === 'stored_tare' && weighing.storedTare?.measuredAt) {
+      mark += ` OF ${new Date(weighing.storedTare.measuredAt).toLocaleDateString('en-IN')}`;
+    }
+    return mark ? `${prefix}[${mark}]` : '';
+  }
+
+  // '19/10/2026, 10:42:05 am', '' without a date
+  _stamp(date) {
+    return date
+      ? new Date(date).toLocaleString('en-IN', { day:'2-digit', month:'2-digit', year:'numeric', hour:'2-digit', minute:'2-digit', second:'2-digit', hour12:true })
+      : '';
+  }
+
+  // Camera rows: one per weighing stage that has images (gross, then tare), captioned with
+  // the stage's weight and time and stamped with each image's capture time. Both rows
+  // print shorter so the receipt stays on one page; no images leaves the empty boxes.
+  _cameraRows(bill, images = [], cameras = null) {
+    if (!cameras) cameras = [1, 2].map(camera => ({ camera, role: `Camera ${camera}` }));
+    if (!cameras.length) return '';
+    const shown  = images.filter(i => i.src && cameras.some(c => c.camera === i.camera));
+    const stages = ['gross', 'tare'].filter(stage => shown.some(i => i.stage === stage));
+    const box = (image, cam) => image
+      ? `<div class="cam-box"><img src="${image.src}" alt="${this._escape(cam.role)}" /><span class="cam-timestamp">${this._stamp(image.capturedAt)}</span><span class="cam-label">${this._escape(image.role || cam.role)}</span></div>`
+      : `<div class="cam-box"><div class="cam-no-image">NO ${this._escape(String(cam.role).toUpperCase())} IMAGE</div></div>`;
+
+    if (!stages.length) return `<div class="cameras">\n  ${cameras.map(cam => box(null, cam)).join('\n  ')}\n</div>`;
+    return stages.map(stage => {
+      const shots    = cameras.map(cam => shown.find(i => i.stage === stage && i.camera === cam.camera));
+      const weighing = bill[`${stage}Weight`] || {};
+      const weight   = weighing.value || shots.find(Boolean).weight;
+      const caption  = [`${stage} weighing`, weight ? weightUnits.format(weight) : '', this._stamp(weighing.timestamp)].filter(Boolean).join(' — ');
+      return `<div class="cam-stage">${caption}</div>
+<div class="cameras${stages.length > 1 ? ' compact' : ''}">
+  ${shots.map((image, i) => box(image, cameras[i])).join('\n  ')}
+</div>`;
+    }).join('\n');
+  }
+
+  // Series number (WB1/2026-27/00042) when the bill has one, else the plain billNo
+  _serialNo(bill) {
+    return bill.docNo || bill.billNo;
+  }
+
+  // Order reference rows: order no, expected net and variance (with the tolerance flag)
+  _orderRows(bill) {
+    const o = bill.order;
+    if (!o || !o.orderNo) return [];
+    const rows = [['Order No', o.orderNo]];
+    if (o.expectedNet) rows.push(['Expected Net', weightUnits.format(o.expectedNet)]);
+    if (o.variance != null) rows.push(['Variance', `${this._varianceText(o)}${o.withinTolerance === false ? ' [OUT OF TOLERANCE]' : ''}`]);
+    return rows;
+  }
+
+  // '-150 Kg (-0.75%, tolerance ±0.5%)'
+  _varianceText(o) {
+    const sign = o.variance > 0 ? '+' : o.variance < 0 ? '-' : '';
+    return `${sign}${weightUnits.format(Math.abs(o.variance))} (${sign}${Math.abs(o.variancePercent)}%, tolerance ±${o.tolerancePercent}%)`;
+  }
+
+  // Custom field labels and values are typed in by users
+  _escape(text) {
+    return String(text).replace(/[&<>"']/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' }[c]));
+  }
+
+  // 'on 12/5/2023 by Ravi — Reason: wrong vehicle'; the typed name and reason go through
+  // `escape` (this._escape for the HTML receipt, as is for the printer)
+  _cancelNote(bill, escape = text => text) {
+    const c = bill.cancellation || {};
+    const on = c.at ? ` on ${new Date(c.at).toLocaleString('en-IN')}` : '';
+    const by = c.by ? ` by ${escape(c.by)}` : '';
+    return `${on}${by} — Reason: ${escape(c.reason || '-')}`.trim();
+  }
+
   _execAsync(cmd) {
     return new Promise((resolve, reject) => {
       exec(cmd, { timeout: 30000 }, (err, stdout, stderr) => {
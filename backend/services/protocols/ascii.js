@@ -0,0 +1,22 @@
+// services/protocols/ascii.js — Plain ASCII number per line
+// Examples: "039170", "+039170", "039170 Kg"
+// Carries no status flags, so stable/mode are always null.
+
+module.exports = {
+  id:        'ascii',
+  name:      'Plain ASCII number (+XXXXXX Kg)',
+  delimiter: '\r\n',
+
+  parse(buf) {
+    const text  = buf.toString('ascii').trim();
+    const match = text.match(/^[\x02]?\s*([+-]?)\s*(\d+(?:\.\d+)?)\s*(kg|t)?\s*[\x03]?$/i);
+    if (!match) return null;
+    const weight = parseFloat(match[2]) * (match[1] === '-' ? -1 : 1);
+    return {
+      weight,
+      stable: null,
+      mode:   null,
+      unit:   match[3] ? match[3].toLowerCase() : null
+    };
+  }
+};
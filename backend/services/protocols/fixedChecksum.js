@@ -0,0 +1,54 @@
+// services/protocols/fixedChecksum.js — Fixed-width frame with XOR checksum
+//
+//   STX  S  WWWWWWW  M  G  CC  ETX
+//   |    |  |        |  |  |
+//   |    |  |        |  |  └ 2 hex digits: XOR of every byte between STX and CC
+//   |    |  |        |  └ 'G' = gross, 'N' = net
+//   |    |  |        └ 'S' = stable, 'M' = motion
+//   |    |  └ 7 chars, right aligned, may contain a decimal point
+//   |    └ sign: '+' or '-'
+//   └ 0x02
+//
+// Example: <STX>+0039170SG03<ETX>
+// Frames are split on ETX; a frame with the wrong length or checksum is bad.
+
+const STX = 0x02;
+const FRAME_LENGTH = 12;   // sign + 7 weight + status + mode + 2 checksum
+
+function xorChecksum(bytes) {
+  return bytes.reduce((acc, b) => acc ^ b, 0);
+}
+
+module.exports = {
+  id:        'fixed-checksum',
+  name:      'Fixed width + XOR checksum (STX … ETX)',
+  delimiter: '\x03',
+
+  parse(buf) {
+    const start = buf.lastIndexOf(STX);
+    if (start === -1) return null;
+    const frame = buf.subarray(start + 1);
+    if (frame.length !== FRAME_LENGTH) return null;
+
+    const body     = frame.subarray(0, 10);
+    const expected = parseInt(frame.subarray(10, 12).toString('ascii'), 16);
+    if (isNaN(expected) || xorChecksum(body) !== expected) return null;
+
+    const text   = body.toString('ascii');
+    const sign   = text[0];
+    const digits = text.slice(1, 8).trim();
+    const status = text[8];
+    const mode   = text[9];
+    if (!['+', '-'].includes(sign) || !/^\d+(\.\d+)?$/.test(digits)) return null;
+    if (!['S', 'M'].includes(status) || !['G', 'N'].includes(mode))  return null;
+
+    return {
+      weight: parseFloat(digits) * (sign === '-' ? -1 : 1),
+      stable: status === 'S',
+      mode:   mode === 'G' ? 'gross' : 'net',
+      unit:   null
+    };
+  },
+
+  xorChecksum
+};
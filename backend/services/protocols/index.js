@@ -0,0 +1,31 @@
+// services/protocols/index.js — Indicator protocol driver registry
+//
+// Every driver exports the same shape:
+//   id          — key used in SERIAL_PROTOCOL / POST /api/settings/serial
+//   name        — human readable label for the settings UI
+//   delimiter   — byte sequence that ends one frame on the wire
+//   parse(buf)  — returns { weight, stable, mode, unit } or null for a bad frame
+//
+// `stable` is the indicator's own motion flag (true / false / null when the
+// protocol does not carry one) and `mode` is 'gross' | 'net' | null.
+
+const drivers = [
+  require('./ascii'),
+  require('./stGs'),
+  require('./stxContinuous'),
+  require('./fixedChecksum')
+];
+
+const registry = new Map(drivers.map(d => [d.id, d]));
+
+const DEFAULT_PROTOCOL = 'ascii';
+
+function getDriver(id) {
+  return registry.get(id) || null;
+}
+
+function listDrivers() {
+  return drivers.map(d => ({ id: d.id, name: d.name }));
+}
+
+module.exports = { DEFAULT_PROTOCOL, getDriver, listDrivers };
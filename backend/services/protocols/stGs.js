@@ -0,0 +1,30 @@
+// services/protocols/stGs.js — Comma separated status frames
+// Example: "ST,GS,+039170kg"   "US,NT,-000120kg"
+//   field 1: ST = stable, US = unstable (motion), OL = overload
+//   field 2: GS = gross,  NT = net
+//   field 3: signed weight with unit suffix
+
+module.exports = {
+  id:        'st-gs',
+  name:      'ST,GS,+XXXXXXkg (status / gross-net)',
+  delimiter: '\r\n',
+
+  parse(buf) {
+    const parts = buf.toString('ascii').trim().split(',').map(s => s.trim());
+    if (parts.length < 3) return null;
+
+    const [status, type, value] = parts;
+    if (!['ST', 'US'].includes(status)) return null;   // OL / unknown → bad frame
+    if (!['GS', 'NT'].includes(type))   return null;
+
+    const match = value.match(/^([+-]?)\s*(\d+(?:\.\d+)?)\s*(kg|t)?$/i);
+    if (!match) return null;
+
+    return {
+      weight: parseFloat(match[2]) * (match[1] === '-' ? -1 : 1),
+      stable: status === 'ST',
+      mode:   type === 'GS' ? 'gross' : 'net',
+      unit:   match[3] ? match[3].toLowerCase() : null
+    };
+  }
+};
@@ -0,0 +1,49 @@
+// services/protocols/stxContinuous.js — STX framed continuous output
+// (Toledo-style "continuous mode", sent without request several times a second)
+//
+//   STX SWA SWB SWC WWWWWW TTTTTT CR [CKS]
+//
+//   SWA bits 0-2 : decimal point / dummy zeros (0 = XX00, 1 = XXX0, 2 = XXXX, 3 = XXX.X, 4 = XX.XX ...)
+//   SWB bit 0    : 1 = net, 0 = gross
+//   SWB bit 1    : 1 = negative
+//   SWB bit 3    : 1 = motion
+//   W (6 digits) : displayed weight, T (6 digits): tare
+//
+// Frames are split on CR; an optional checksum byte sent after CR ends up at
+// the start of the next chunk, so the frame is taken from the last STX.
+
+const STX = 0x02;
+
+// Codes 0 and 1 send the weight without its dummy zeros (×100, ×10); 3 and up carry decimals
+const DECIMALS = { 0: 0, 1: 0, 2: 0, 3: 1, 4: 2, 5: 3, 6: 4, 7: 5 };
+const FACTOR   = { 0: 100, 1: 10, 2: 1, 3: 1, 4: 1, 5: 1, 6: 1, 7: 1 };
+
+module.exports = {
+  id:        'stx-continuous',
+  name:      'STX continuous output (Toledo style)',
+  delimiter: '\r',
+
+  parse(buf) {
+    const start = buf.lastIndexOf(STX);
+    if (start === -1) return null;
+    const frame = buf.subarray(start + 1);
+    if (frame.length < 15) return null;
+
+    const swa = frame[0];
+    const swb = frame[1];
+    const digits = frame.subarray(3, 9).toString('ascii');
+    if (!/^[ \d]{6}$/.test(digits)) return null;
+
+    const dp     = swa & 0x07;
+    let   weight = parseInt(digits.trim() || '0', 10) * FACTOR[dp];
+    if (DECIMALS[dp]) weight = weight / Math.pow(10, DECIMALS[dp]);
+    if (swb & 0x02) weight = -weight;
+
+    return {
+      weight,
+      stable: !(swb & 0x08),
+      mode:   (swb & 0x01) ? 'net' : 'gross',
+      unit:   null
+    };
+  }
+};
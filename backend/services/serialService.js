@@ -1,62 +1,118 @@
-// services/serialService.js
-const { SerialPort } = require('serialport');
-const { ReadlineParser } = require('@serialport/parser-readline');
+// services/serialService.js — One indicator channel (one instance per weighbridge)
+const { SerialPort, DelimiterParser } = require('serialport');
+const protocols = require('./protocols');
+const transports = require('./transports');
+const StabilityDetector = require('./stabilityDetector');
+const PlatformMonitor = require('./platformMonitor');
+const weightUnits = require('./weightUnits');
+const { FrameRecorder, FrameReplay } = require('./frameCapture');
 
 class SerialService {
-  constructor() {
-    this.port             = null;
+  constructor(bridgeId = 'WB1', bridgeName = '') {
+    this.bridgeId         = bridgeId;
+    this.bridgeName       = bridgeName || bridgeId;
+    this.transport        = null;
     this.parser           = null;
     this.currentWeight    = 0;
     this.isConnected      = false;
     this.isSimulation     = false;
-    this.portPath         = null;
-    this.baudRate         = 9600;
+    // { transport: 'serial' | 'tcp' | 'udp', port, baud, host, netPort }
+    this.config           = { transport: transports.DEFAULT_TRANSPORT, port: null, baud: 9600 };
+    this.endpoint         = '';
+    this.protocol         = protocols.DEFAULT_PROTOCOL;
+    this.driver           = protocols.getDriver(this.protocol);
+    this.indicatorStable  = null;
+    this.weightMode       = null;
+    this.frameStats       = { frames: 0, badFrames: 0, lastBadFrame: null, lastBadAt: null };
     this.wsClients        = new Set();
-    this.weightBuffer     = [];
+    this.stability        = new StabilityDetector(StabilityDetector.ruleFromEnv());
+    this.isStable         = false;
+    this.stabilityResult  = { stable: false, reason: 'no_data', detail: '' };
     this.stableWeight     = 0;
+    this.platform         = new PlatformMonitor(PlatformMonitor.ruleFromEnv());
     this.simInterval      = null;
+    this.simConfig        = { source: 'random', file: null, speed: 1 };   // source: random | replay
+    this.replay           = null;
+    this.recorder         = null;
     this.reconnectTimer   = null;
     this.reconnectActive  = false;
   }
 
-  // ── Called once from server.js on startup
-  initialize(portPath, baudRate = 9600) {
-    this.portPath = portPath;
-    this.baudRate = parseInt(baudRate);
+  // ── Called once per bridge from bridgeService on startup
+  // config: { transport, port, baud, host, netPort, protocol }
+  initialize(config) {
+    this._setConfig(config);
     this._tryConnect();
   }
 
-  // ── Called from settings route when user changes port/baud
-  reconnect(portPath, baudRate = 9600) {
-    console.log(`🔄 Serial reconnect requested: ${portPath} @ ${baudRate}`);
-    this.portPath = portPath;
-    this.baudRate = parseInt(baudRate);
+  // ── Called from settings route when user changes transport/port/baud/protocol
+  reconnect(config) {
+    this._setConfig(config);
+    console.log(`🔄 [${this.bridgeId}] Indicator reconnect requested: ${this.endpoint} (${this.protocol})`);
+    // Start a fresh capture so its header matches the new endpoint/protocol
+    if (this.recorder) { this.setRecording(false); this.setRecording(true); }
 
-    if (this.port && this.port.isOpen) {
-      try { this.port.close(); } catch (e) {}
-    }
-    this.port   = null;
-    this.parser = null;
+    this._closeTransport();
 
     this._stopSimulation();
     this._stopReconnectLoop();
     this._tryConnect();
   }
 
-  // ── Single connection attempt
+  _setConfig({ protocol, ...config }) {
+    this.config = {
+      transport: transports.isTransport(config.transport) ? config.transport : transports.DEFAULT_TRANSPORT,
+      port:      config.port || null,
+      baud:      parseInt(config.baud) || 9600,
+      host:      config.host || '',
+      netPort:   parseInt(config.netPort) || null
+    };
+    this.endpoint = transports.createTransport(this.config).describe();
+    this._setProtocol(protocol);
+  }
+
+  // ── Release the indicator and stop reconnecting and simulating (shutdown, tests)
+  close() {
+    this._stopReconnectLoop();
+    this._stopSimulation();
+    this._closeTransport();
+    this.isConnected = false;
+  }
+
+  _closeTransport() {
+    if (this.transport) {
+      this.transport.removeAllListeners();
+      this.transport.on('error', () => {});   // late socket errors must not go unhandled
+      this.transport.close();
+    }
+    this.transport = null;
+    this.parser    = null;
+  }
+
+  // ── Pick the indicator protocol driver (unknown ids fall back to the default)
+  _setProtocol(protocol) {
+    const id     = protocol || this.protocol;
+    const driver = protocols.getDriver(id);
+    if (!driver) console.warn(`⚠️  Unknown serial protocol "${id}" — using ${protocols.DEFAULT_PROTOCOL}`);
+    this.driver     = driver || protocols.getDriver(protocols.DEFAULT_PROTOCOL);
+    this.protocol   = this.driver.id;
+    this.frameStats = { frames: 0, badFrames: 0, lastBadFrame: null, lastBadAt: null };
+  }
+
+  // ── Single connection attempt (serial device, TCP client or UDP listener)
   _tryConnect() {
     if (this.reconnectActive) return;
     this.reconnectActive = true;
 
     try {
-      const sp     = new SerialPort({ path: this.portPath, baudRate: this.baudRate, autoOpen: false });
-      const parser = sp.pipe(new ReadlineParser({ delimiter: '\r\n' }));
+      const transport = transports.createTransport(this.config);
+      const parser    = new DelimiterParser({ delimiter: this.driver.delimiter });
 
-      sp.open((err) => {
+      transport.open((err) => {
         this.reconnectActive = false;
 
         if (err) {
-          console.warn(`⚠️  Serial ${this.portPath}: ${err.message}`);
+          console.warn(`⚠️  [${this.bridgeId}] Indicator ${this.endpoint}: ${err.message}`);
           this.isConnected  = false;
           this.isSimulation = true;
           this._startSimulationIfNeeded();
@@ -65,8 +121,8 @@ class SerialService {
         }
 
         // ✅ Successfully opened
-        console.log(`✅ Serial port ${this.portPath} opened at ${this.baudRate} baud`);
-        this.port         = sp;
+        console.log(`✅ [${this.bridgeId}] Indicator ${this.endpoint} opened [${this.protocol}]`);
+        this.transport    = transport;
         this.parser       = parser;
         this.isConnected  = true;
         this.isSimulation = false;
@@ -75,22 +131,23 @@ class SerialService {
         this._stopReconnectLoop();
         this.broadcastStatus();
 
+        transport.on('data', (chunk) => parser.write(chunk));
         parser.on('data', (data) => this.parseWeight(data));
 
-        sp.on('error', (err) => {
-          console.error('Serial runtime error:', err.message);
+        transport.on('error', (err) => {
+          console.error(`[${this.bridgeId}] Indicator runtime error:`, err.message);
           this._onPortLost();
         });
 
-        sp.on('close', () => {
-          console.warn('Serial port closed unexpectedly — will retry in 5 s');
+        transport.on('close', () => {
+          console.warn(`[${this.bridgeId}] Indicator ${this.endpoint} closed unexpectedly — will retry in 5 s`);
           this._onPortLost();
         });
       });
 
     } catch (err) {
       this.reconnectActive = false;
-      console.error('Serial init exception:', err.message);
+      console.error(`[${this.bridgeId}] Indicator init exception:`, err.message);
       this.isConnected  = false;
       this.isSimulation = true;
       this._startSimulationIfNeeded();
@@ -99,10 +156,10 @@ class SerialService {
   }
 
   _onPortLost() {
+    if (!this.transport) return;   // already handled (error + close both fire)
+    this._closeTransport();
     this.isConnected  = false;
     this.isSimulation = true;
-    this.port   = null;
-    this.parser = null;
     this.broadcastStatus();
     this._startSimulationIfNeeded();
     this._startReconnectLoop();
@@ -111,12 +168,12 @@ class SerialService {
   // ── Retry loop: poll every 5 seconds
   _startReconnectLoop() {
     if (this.reconnectTimer) return;
-    console.log('🔁 Serial reconnect loop started (every 5 s)');
+    console.log(`🔁 [${this.bridgeId}] Indicator reconnect loop started (every 5 s)`);
     this.reconnectTimer = setInterval(async () => {
       if (this.isConnected) { this._stopReconnectLoop(); return; }
-      const available = await this._isPortAvailable(this.portPath);
+      const available = await transports.createTransport(this.config).isAvailable();
       if (available) {
-        console.log(`🔌 Port ${this.portPath} detected — reconnecting...`);
+        console.log(`🔌 [${this.bridgeId}] ${this.endpoint} — reconnecting...`);
         this._tryConnect();
       }
     }, 5000);
@@ -129,20 +186,55 @@ class SerialService {
     }
   }
 
-  async _isPortAvailable(portPath) {
-    try {
-      const ports = await SerialPort.list();
-      return ports.some(p =>
-        p.path === portPath ||
-        p.path.toLowerCase() === portPath.toLowerCase()
-      );
-    } catch (e) { return false; }
+  // ── Simulation source used while the indicator is unavailable
+  // config: { source: 'random' | 'replay', file, speed }
+  setSimulation(config = {}) {
+    this.simConfig = {
+      source: config.source === 'replay' ? 'replay' : 'random',
+      file:   config.file || null,
+      speed:  parseFloat(config.speed) > 0 ? parseFloat(config.speed) : 1
+    };
+    if (this.isSimulation) {
+      this._stopSimulation();
+      this._startSimulationIfNeeded();
+    }
+  }
+
+  // ── Raw frame recorder — returns the capture file name (null when stopped)
+  setRecording(enabled) {
+    if (enabled && !this.recorder) {
+      this.recorder = new FrameRecorder(this.bridgeId, {
+        protocol: this.protocol, transport: this.config.transport, endpoint: this.endpoint
+      });
+      console.log(`⏺  [${this.bridgeId}] Recording raw frames to captures/${this.recorder.name}`);
+    } else if (!enabled && this.recorder) {
+      console.log(`⏹  [${this.bridgeId}] Recording stopped — ${this.recorder.count} frame(s) in ${this.recorder.name}`);
+      this.recorder.stop();
+      this.recorder = null;
+    }
+    return this.recorder ? this.recorder.name : null;
   }
 
   // ── Simulation — only while real port is unavailable
   _startSimulationIfNeeded() {
-    if (this.simInterval) return;
-    console.log('⚠️  SIMULATION mode active');
+    if (this.simInterval || this.replay) return;
+
+    if (this.simConfig.source === 'replay' && this.simConfig.file) {
+      try {
+        this.replay = new FrameReplay(this.simConfig.file, this.simConfig.speed);
+        console.log(`⚠️  [${this.bridgeId}] SIMULATION mode active — replaying ${this.replay.name} at ${this.replay.speed}x`);
+        this.replay.start((frame, driver) => {
+          if (this.isConnected) { this._stopSimulation(); return; }
+          this.parseWeight(frame, driver || this.driver);
+        });
+        return;
+      } catch (err) {
+        this.replay = null;
+        console.warn(`⚠️  [${this.bridgeId}] Replay unavailable (${err.message}) — using random simulation`);
+      }
+    }
+
+    console.log(`⚠️  [${this.bridgeId}] SIMULATION mode active`);
     let base = 39170;
     this.simInterval = setInterval(() => {
       if (this.isConnected) { this._stopSimulation(); return; }
@@ -153,64 +245,170 @@ class SerialService {
   }
 
   _stopSimulation() {
-    if (this.simInterval) {
-      clearInterval(this.simInterval);
+    if (this.simInterval || this.replay) {
+      if (this.simInterval) clearInterval(this.simInterval);
+      if (this.replay) this.replay.stop();
       this.simInterval = null;
-      console.log('✅ Simulation stopped — real serial active');
+      this.replay      = null;
+      console.log(`✅ [${this.bridgeId}] Simulation stopped`);
+    }
+  }
+
+  // ── Weight parsing — one raw frame through the active protocol driver
+  // (a replay passes the driver the capture was recorded with)
+  parseWeight(data, driver = this.driver) {
+    const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data), 'latin1');
+    if (!buf.length) return;
+    this.frameStats.frames++;
+    if (this.recorder && !this.isSimulation) this.recorder.write(buf);
+
+    let reading = null;
+    try { reading = driver.parse(buf); } catch (e) { reading = null; }
+
+    // Negative readings are kept: an empty platform below zero is zero drift, not a bad frame
+    const kg = reading ? weightUnits.toKg(reading.weight, reading.unit) : NaN;
+    if (!reading || isNaN(kg) || Math.abs(kg) >= 200000) {
+      this._countBadFrame(buf);
+      return;
     }
+    this.updateWeight(kg, reading);
   }
 
-  // ── Weight parsing
-  parseWeight(data) {
-    const cleaned = data.toString().trim();
-    const match   = cleaned.match(/[\+\-]?(\d+\.?\d*)/);
-    if (match) {
-      const w = parseFloat(match[1]);
-      if (w >= 0 && w < 200000) this.updateWeight(w);
+  _countBadFrame(buf) {
+    this.frameStats.badFrames++;
+    this.frameStats.lastBadFrame = buf.toString('hex');
+    this.frameStats.lastBadAt    = new Date().toISOString();
+    // Log the first one and then every 100th so a wrong protocol is visible without flooding
+    if (this.frameStats.badFrames === 1 || this.frameStats.badFrames % 100 === 0) {
+      console.warn(`⚠️  [${this.bridgeId}] Serial [${this.protocol}]: ${this.frameStats.badFrames} bad frame(s), last = ${this.frameStats.lastBadFrame}`);
     }
   }
 
-  updateWeight(weight) {
+  // ── `status` carries the indicator's own flags when the protocol sends them
+  updateWeight(weight, status = {}) {
+    this.indicatorStable = status.stable != null ? status.stable : null;
+    this.weightMode      = status.mode || null;
+    weight = weightUnits.round(weight);   // kg on the scale division
     this.currentWeight = weight;
-    this.weightBuffer.push(weight);
-    if (this.weightBuffer.length > 5) this.weightBuffer.shift();
 
-    const avg      = this.weightBuffer.reduce((a, b) => a + b, 0) / this.weightBuffer.length;
-    const isStable = this.weightBuffer.every(w => Math.abs(w - avg) < 5);
-    if (isStable && this.weightBuffer.length === 5) this.stableWeight = Math.round(avg);
+    const result = this.stability.push(weight, this.indicatorStable);
+    this.isStable        = result.stable;
+    this.stabilityResult = { stable: result.stable, reason: result.reason, detail: result.detail };
+    if (result.stable) this.stableWeight = weightUnits.round(result.weight);
+
+    const platform = this.platform.push(weight, result.stable, this.stability.rule.settleMs);
+    if (platform.driftChanged) {
+      const { zero } = this.platform.getInfo();
+      if (zero.drift) console.warn(`⚠️  [${this.bridgeId}] Zero drift: empty platform reads ${zero.reading} kg (limit ${zero.limit} kg)`);
+      else            console.log(`✅ [${this.bridgeId}] Zero drift cleared (${zero.reading} kg)`);
+    }
+    if (platform.stateChanged || platform.driftChanged) this.broadcastPlatform();
 
     this.broadcastWeight({
-      weight:       this.currentWeight,
-      stable:       isStable,
-      stableWeight: this.stableWeight,
-      simulation:   this.isSimulation,
-      timestamp:    new Date().toISOString()
+      weight:          this.currentWeight,
+      stable:          this.isStable,
+      stableWeight:    this.stableWeight,
+      indicatorStable: this.indicatorStable,
+      mode:            this.weightMode,
+      stability:       this.getStabilityInfo(),
+      simulation:      this.isSimulation,
+      timestamp:       new Date().toISOString()
     });
   }
 
-  // ── WebSocket
+  // ── Stability rule — called from settings route
+  setStabilityRule(rule) {
+    const active = this.stability.configure(rule);
+    this.isStable        = false;
+    this.stabilityResult = { stable: false, reason: 'rule_changed', detail: '' };
+    console.log(`⚖️  [${this.bridgeId}] Stability rule updated:`, JSON.stringify(active));
+    return active;
+  }
+
+  getStabilityInfo() {
+    return { rule: this.stability.rule, reason: this.stabilityResult.reason, detail: this.stabilityResult.detail };
+  }
+
+  // ── Platform return-to-zero — checked by the capture routes
+  // The random-walk simulation never empties the platform, so it is exempt.
+  canCapture() {
+    if (this.isSimulation && !this.replay) return { ok: true };
+    return this.platform.canCapture();
+  }
+
+  markCaptured(label, weight) {
+    this.platform.markCaptured(label, weight);
+    this.broadcastPlatform();
+  }
+
+  setPlatformRule(rule) {
+    const active = this.platform.configure(rule);
+    console.log(`⚖️  [${this.bridgeId}] Platform rule updated:`, JSON.stringify(active));
+    this.broadcastPlatform();
+    return active;
+  }
+
+  // ── Warnings surfaced over WebSocket and /api/health
+  getWarnings() {
+    const { zero } = this.platform.getInfo();
+    return zero.drift
+      ? [{ code: 'zero_drift', message: `Empty platform reads ${zero.reading} kg (drift limit ${zero.limit} kg)` }]
+      : [];
+  }
+
+  // ── WebSocket — clients subscribed to this bridge (managed by bridgeService)
   addWSClient(ws) {
     this.wsClients.add(ws);
-    ws.on('close', () => this.wsClients.delete(ws));
     ws.send(JSON.stringify({
-      type: 'weight', weight: this.currentWeight, stable: false,
-      stableWeight: this.stableWeight, simulation: this.isSimulation,
+      type: 'weight', bridge: this.bridgeId, weight: this.currentWeight, stable: this.isStable,
+      stableWeight: this.stableWeight, indicatorStable: this.indicatorStable,
+      mode: this.weightMode, stability: this.getStabilityInfo(), simulation: this.isSimulation,
       timestamp: new Date().toISOString()
     }));
+    ws.send(this._platformMessage());
+  }
+
+  removeWSClient(ws) {
+    this.wsClients.delete(ws);
   }
 
   broadcastWeight(data) {
-    const msg = JSON.stringify({ type: 'weight', ...data });
+    const msg = JSON.stringify({ type: 'weight', bridge: this.bridgeId, ...data });
+    this.wsClients.forEach(c => { if (c.readyState === 1) c.send(msg); });
+  }
+
+  _platformMessage() {
+    return JSON.stringify({
+      type: 'platform', bridge: this.bridgeId, ...this.platform.getInfo(), warnings: this.getWarnings()
+    });
+  }
+
+  broadcastPlatform() {
+    const msg = this._platformMessage();
     this.wsClients.forEach(c => { if (c.readyState === 1) c.send(msg); });
   }
 
   broadcastStatus() {
-    const msg = JSON.stringify({ type: 'status', connected: this.isConnected, simulation: this.isSimulation });
+    const msg = JSON.stringify({
+      type: 'status', bridge: this.bridgeId, connected: this.isConnected, simulation: this.isSimulation,
+      transport: this.config.transport, endpoint: this.endpoint,
+      replay: this.replay ? this.replay.name : null, recording: this.recorder ? this.recorder.name : null,
+      protocol: this.protocol, frames: this.frameStats
+    });
     this.wsClients.forEach(c => { if (c.readyState === 1) c.send(msg); });
   }
 
   getCurrentWeight() {
-    return { weight: this.currentWeight, stableWeight: this.stableWeight, simulation: this.isSimulation, timestamp: new Date().toISOString() };
+    return {
+      bridge: this.bridgeId, weight: this.currentWeight, stable: this.isStable, stableWeight: this.stableWeight,
+      indicatorStable: this.indicatorStable, mode: this.weightMode,
+      stability: this.getStabilityInfo(), platform: this.platform.getInfo(),
+      simulation: this.isSimulation, timestamp: new Date().toISOString()
+    };
+  }
+
+  getFrameStats() {
+    return { protocol: this.protocol, ...this.frameStats };
   }
 
   static async listPorts() {
@@ -218,4 +416,4 @@ class SerialService {
   }
 }
 
-module.exports = new SerialService();
+module.exports = SerialService;
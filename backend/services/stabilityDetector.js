@@ -0,0 +1,109 @@
+// services/stabilityDetector.js — Time-based weight stability rule
+//
+// A reading is stable once every sample received during the last `settleMs`
+// milliseconds stays inside the tolerance band. Because the window is measured
+// in time rather than in sample count, a 1 Hz and a 10 Hz indicator settle
+// after the same delay.
+//
+// Rule fields:
+//   settleMs          — how long the weight must stay inside the band
+//   tolerance         — allowed spread (max − min) inside the window
+//   toleranceUnit     — 'kg' | 'div' (divisions of `division` kg)
+//   division          — scale division in kg, used when toleranceUnit = 'div'
+//   minWeight         — readings below this never count as stable
+//   useIndicatorFlag  — trust the indicator's own motion flag when it sends one
+
+const DEFAULT_RULE = {
+  settleMs:         2000,
+  tolerance:        5,
+  toleranceUnit:    'kg',
+  division:         10,
+  minWeight:        0,
+  useIndicatorFlag: false
+};
+
+class StabilityDetector {
+  constructor(rule = {}) {
+    this.samples = [];
+    this.configure(rule);
+  }
+
+  // ── Build a rule from STABILITY_* / SCALE_DIVISION environment variables
+  static ruleFromEnv(env = process.env) {
+    const rule = {};
+    if (env.STABILITY_SETTLE_MS)      rule.settleMs         = env.STABILITY_SETTLE_MS;
+    if (env.STABILITY_TOLERANCE)      rule.tolerance        = env.STABILITY_TOLERANCE;
+    if (env.STABILITY_TOLERANCE_UNIT) rule.toleranceUnit    = env.STABILITY_TOLERANCE_UNIT;
+    if (env.SCALE_DIVISION)           rule.division         = env.SCALE_DIVISION;
+    if (env.STABILITY_MIN_WEIGHT)     rule.minWeight        = env.STABILITY_MIN_WEIGHT;
+    if (env.STABILITY_USE_INDICATOR)  rule.useIndicatorFlag = env.STABILITY_USE_INDICATOR;
+    return rule;
+  }
+
+  configure(rule = {}) {
+    const merged = { ...DEFAULT_RULE, ...(this.rule || {}), ...rule };
+    this.rule = {
+      settleMs:         Math.max(0, parseInt(merged.settleMs) || 0),
+      tolerance:        Math.max(0, parseFloat(merged.tolerance) || 0),
+      toleranceUnit:    merged.toleranceUnit === 'div' ? 'div' : 'kg',
+      division:         parseFloat(merged.division) > 0 ? parseFloat(merged.division) : DEFAULT_RULE.division,
+      minWeight:        Math.max(0, parseFloat(merged.minWeight) || 0),
+      useIndicatorFlag: merged.useIndicatorFlag === true || merged.useIndicatorFlag === 'true'
+    };
+    this.samples = [];
+    return this.rule;
+  }
+
+  toleranceKg() {
+    return this.rule.toleranceUnit === 'div'
+      ? this.rule.tolerance * this.rule.division
+      : this.rule.tolerance;
+  }
+
+  // ── Feed one reading; returns { stable, weight, reason, detail }
+  push(weight, indicatorStable = null, now = Date.now()) {
+    const { settleMs, minWeight, useIndicatorFlag } = this.rule;
+
+    this.samples.push({ weight, t: now });
+    // Keep one sample at or before the window edge so a full window can be proven
+    while (this.samples.length > 1 && this.samples[1].t <= now - settleMs) this.samples.shift();
+
+    if (weight < minWeight) {
+      return { stable: false, weight, reason: 'below_min_weight', detail: `${weight} < ${minWeight} kg` };
+    }
+
+    if (useIndicatorFlag && indicatorStable != null) {
+      return indicatorStable
+        ? { stable: true,  weight, reason: 'indicator_stable', detail: 'motion flag clear' }
+        : { stable: false, weight, reason: 'indicator_motion', detail: 'indicator reports motion' };
+    }
+
+    // Walk back from the newest sample while the band still fits the tolerance
+    const tol = this.toleranceKg();
+    let min = weight, max = weight, sum = 0, count = 0, runStart = now;
+    for (let i = this.samples.length - 1; i >= 0; i--) {
+      const s = this.samples[i];
+      const lo = Math.min(min, s.weight);
+      const hi = Math.max(max, s.weight);
+      if (hi - lo > tol) break;
+      min = lo; max = hi; sum += s.weight; count++; runStart = s.t;
+    }
+
+    const settledFor = now - runStart;
+    if (settledFor < settleMs) {
+      const reason = count < this.samples.length ? 'out_of_tolerance' : 'settling';
+      return { stable: false, weight, reason, detail: `${settledFor}/${settleMs} ms with spread ≤ ${tol} kg` };
+    }
+
+    return {
+      stable: true,
+      weight: Math.round(sum / count),
+      reason: 'settled',
+      detail: `${settledFor} ms with spread ≤ ${tol} kg`
+    };
+  }
+}
+
+StabilityDetector.DEFAULT_RULE = DEFAULT_RULE;
+
+module.exports = StabilityDetector;
@@ -0,0 +1,128 @@
+// services/tariffService.js — Weighing charge computed from the site tariff
+//
+// The tariff (master data, /api/master/tariff) is one set of rules:
+//   vehicleRates    flat rate per vehicle type; baseRate for types without one
+//   slabs           rate by net weight — the first slab whose upTo (kg) covers the net,
+//                   a slab without upTo covers everything above
+//   materialRates   per material, either per bill or per unit of the material's own
+//                   unit (Ton, Kg, Quintal — see weightUnits.toMaterialUnit)
+//   secondWeighingSurcharge  added when both weighings were taken on the platform
+//                   (a stored tare does not count)
+//   nightShift      premium in percent on the whole charge when the first weighing
+//                   (or the bill, before any weighing) falls between start and end
+//
+// Slab and per-unit material lines need the net weight, so a quote made at bill
+// creation is provisional (final: false) and is made again once net is known.
+//
+// mode: off     charges are whatever the operator enters (as before)
+//       suggest the computed charge is used unless the operator overrides it with a reason
+//       enforce overriding also needs the supervisor key
+
+const weightUnits = require('./weightUnits');
+
+const TARIFF_MODES = ['off', 'suggest', 'enforce'];
+const MATERIAL_PER = ['bill', 'unit'];
+
+function money(n) {
+  return Math.round(Number(n) * 100) / 100;
+}
+
+// 'HH:MM' → minutes after midnight, null when not a time
+function minutesOf(text) {
+  const m = String(text || '').match(/^(\d{1,2}):(\d{2})$/);
+  if (!m || +m[1] > 23 || +m[2] > 59) return null;
+  return +m[1] * 60 + +m[2];
+}
+
+class TariffService {
+  // ── Is `at` inside the night window (which may cross midnight)?
+  isNight(nightShift, at) {
+    if (!nightShift || !(nightShift.premiumPercent > 0)) return false;
+    const start = minutesOf(nightShift.start), end = minutesOf(nightShift.end);
+    if (start == null || end == null || start === end) return false;
+    const d = new Date(at);
+    const now = d.getHours() * 60 + d.getMinutes();
+    return start < end ? now >= start && now < end : now >= start || now < end;
+  }
+
+  // ── Inputs the tariff depends on, taken from a bill and its master records
+  inputsOf(bill, vehicle, material) {
+    const gross = bill.grossWeight || {}, tare = bill.tareWeight || {};
+    const times = [gross.value ? gross.timestamp : null, tare.value ? tare.timestamp : null].filter(Boolean);
+    return {
+      vehicleType:    vehicle ? vehicle.vehicleType : '',
+      material:       bill.material,
+      materialUnit:   material ? material.unit : null,
+      netWeight:      bill.netWeight != null ? bill.netWeight : null,
+      secondWeighing: !!(gross.value && tare.value && tare.source !== 'stored_tare'),
+      at:             times.length ? new Date(Math.min(...times.map(t => new Date(t)))) : (bill.dateTime || new Date())
+    };
+  }
+
+  // ── Charge for one set of inputs: { mode, amount, lines: [{ code, label, amount }], final }
+  compute(tariff, input) {
+    const lines = [];
+    const add = (code, label, amount) => { if (amount) lines.push({ code, label, amount: money(amount) }); };
+    const net = input.netWeight != null && !isNaN(input.netWeight) ? Number(input.netWeight) : null;
+
+    const type = String(input.vehicleType || '').trim().toUpperCase();
+    const byType = type && (tariff.vehicleRates || []).find(r => r.vehicleType === type);
+    if (byType) add('vehicle_type', `Vehicle type ${type}`, byType.rate);
+    else add('base', 'Weighing charge', tariff.baseRate);
+
+    if (net != null && (tariff.slabs || []).length) {
+      const slabs = [...tariff.slabs].sort((a, b) => (a.upTo ?? Infinity) - (b.upTo ?? Infinity));
+      const slab  = slabs.find(s => s.upTo == null || net <= s.upTo);
+      if (slab) add('slab', slab.upTo == null ? 'Weight slab (above last)' : `Weight slab up to ${weightUnits.format(slab.upTo)}`, slab.rate);
+    }
+
+    const name = String(input.material || '').trim().toUpperCase();
+    const byMaterial = name && (tariff.materialRates || []).find(r => r.material === name);
+    if (byMaterial && byMaterial.per === 'unit') {
+      const qty = net != null ? weightUnits.toMaterialUnit(net, input.materialUnit) : null;
+      if (qty != null) add('material', `${name} ${qty} ${input.materialUnit || 'Kg'} × ${byMaterial.rate}`, qty * byMaterial.rate);
+    } else if (byMaterial) {
+      add('material', `Material ${name}`, byMaterial.rate);
+    }
+
+    if (input.secondWeighing) add('second_weighing', 'Second weighing', tariff.secondWeighingSurcharge);
+
+    const subtotal = lines.reduce((sum, l) => sum + l.amount, 0);
+    if (input.at && this.isNight(tariff.nightShift, input.at)) {
+      const n = tariff.nightShift;
+      add('night', `Night shift ${n.start}–${n.end} +${n.premiumPercent}%`, subtotal * n.premiumPercent / 100);
+    }
+
+    return {
+      mode:   tariff.mode,
+      amount: money(lines.reduce((sum, l) => sum + l.amount, 0)),
+      lines,
+      final:  net != null
+    };
+  }
+
+  // ── Validate a tariff sent by the UI; returns an error message or null
+  validate(t) {
+    if (t.mode !== undefined && !TARIFF_MODES.includes(t.mode)) return `Unknown tariff mode "${t.mode}". Use one of: ${TARIFF_MODES.join(', ')}`;
+    const rate = v => v === undefined || (!isNaN(parseFloat(v)) && parseFloat(v) >= 0);
+    if (!rate(t.baseRate) || !rate(t.secondWeighingSurcharge)) return 'Rates must be zero or more';
+    for (const r of t.vehicleRates || []) if (!r.vehicleType || !rate(r.rate)) return 'Each vehicle rate needs a vehicle type and a rate';
+    for (const s of t.slabs || []) {
+      if (!rate(s.rate)) return 'Each weight slab needs a rate';
+      if (s.upTo != null && s.upTo !== '' && !(parseFloat(s.upTo) > 0)) return 'Slab upTo must be a weight in kg (or empty for the last slab)';
+    }
+    for (const m of t.materialRates || []) {
+      if (!m.material || !rate(m.rate)) return 'Each material rate needs a material and a rate';
+      if (m.per && !MATERIAL_PER.includes(m.per)) return `Material rate "per" must be one of: ${MATERIAL_PER.join(', ')}`;
+    }
+    const n = t.nightShift;
+    if (n && n.premiumPercent > 0 && (minutesOf(n.start) == null || minutesOf(n.end) == null)) {
+      return 'Night shift start and end must be times (HH:MM)';
+    }
+    return null;
+  }
+}
+
+module.exports = new TariffService();
+module.exports.TARIFF_MODES = TARIFF_MODES;
+module.exports.MATERIAL_PER = MATERIAL_PER;
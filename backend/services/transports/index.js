@@ -0,0 +1,33 @@
+// services/transports/index.js — How an indicator is reached
+//
+// Every transport is an EventEmitter with the same shape:
+//   open(cb)        — cb(err) once connected / bound
+//   close()         — release the port or socket
+//   isAvailable()   — Promise<boolean>, polled by the reconnect loop
+//   describe()      — short text for logs and status ("tcp 192.168.1.50:4001")
+// and emits 'data' (raw Buffer chunks), 'error' and 'close'.
+// Framing into indicator frames is left to the protocol driver's delimiter.
+
+const SerialTransport = require('./serialTransport');
+const TcpTransport    = require('./tcpTransport');
+const UdpTransport    = require('./udpTransport');
+
+const TRANSPORTS = {
+  serial: SerialTransport,
+  tcp:    TcpTransport,
+  udp:    UdpTransport
+};
+
+const DEFAULT_TRANSPORT = 'serial';
+
+function isTransport(type) {
+  return Object.prototype.hasOwnProperty.call(TRANSPORTS, type);
+}
+
+// config: { transport, port, baud, host, netPort }
+function createTransport(config) {
+  const Transport = TRANSPORTS[config.transport] || TRANSPORTS[DEFAULT_TRANSPORT];
+  return new Transport(config);
+}
+
+module.exports = { DEFAULT_TRANSPORT, isTransport, createTransport };
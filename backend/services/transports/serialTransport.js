@@ -0,0 +1,48 @@
+// services/transports/serialTransport.js — Local RS-232 / USB serial device
+const EventEmitter = require('events');
+const { SerialPort } = require('serialport');
+
+class SerialTransport extends EventEmitter {
+  constructor({ port, baud = 9600 }) {
+    super();
+    this.path     = port;
+    this.baudRate = parseInt(baud) || 9600;
+    this.sp       = null;
+  }
+
+  open(cb) {
+    const sp = new SerialPort({ path: this.path, baudRate: this.baudRate, autoOpen: false });
+    sp.open((err) => {
+      if (err) return cb(err);
+      this.sp = sp;
+      sp.on('data',  (chunk) => this.emit('data', chunk));
+      sp.on('error', (e)     => this.emit('error', e));
+      sp.on('close', ()      => this.emit('close'));
+      cb(null);
+    });
+  }
+
+  close() {
+    if (this.sp && this.sp.isOpen) {
+      this.sp.removeAllListeners('close');
+      try { this.sp.close(); } catch (e) {}
+    }
+    this.sp = null;
+  }
+
+  async isAvailable() {
+    try {
+      const ports = await SerialPort.list();
+      return ports.some(p =>
+        p.path === this.path ||
+        p.path.toLowerCase() === String(this.path).toLowerCase()
+      );
+    } catch (e) { return false; }
+  }
+
+  describe() {
+    return `serial ${this.path} @ ${this.baudRate}`;
+  }
+}
+
+module.exports = SerialTransport;
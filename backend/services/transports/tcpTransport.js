@@ -0,0 +1,60 @@
+// services/transports/tcpTransport.js — Raw TCP client to a serial device server
+// (Moxa NPort "TCP server" mode and similar: the indicator's serial bytes are
+// relayed unchanged over a plain socket).
+const EventEmitter = require('events');
+const net = require('net');
+
+const CONNECT_TIMEOUT_MS = 5000;
+
+class TcpTransport extends EventEmitter {
+  constructor({ host, netPort }) {
+    super();
+    this.host   = host;
+    this.port   = parseInt(netPort);
+    this.socket = null;
+  }
+
+  open(cb) {
+    if (!this.host || !this.port) return cb(new Error('TCP transport needs host and port'));
+
+    const socket = new net.Socket();
+    let settled = false;
+    const done = (err) => { if (!settled) { settled = true; cb(err); } };
+
+    socket.setTimeout(CONNECT_TIMEOUT_MS);
+    socket.once('timeout', () => {
+      socket.destroy();
+      done(new Error(`timeout connecting to ${this.host}:${this.port}`));
+    });
+    socket.once('error', (err) => done(err));
+
+    socket.connect(this.port, this.host, () => {
+      socket.setTimeout(0);
+      socket.setKeepAlive(true, 10000);
+      this.socket = socket;
+      socket.removeAllListeners('error');
+      socket.on('data',  (chunk) => this.emit('data', chunk));
+      socket.on('error', (e)     => this.emit('error', e));
+      socket.on('close', ()      => this.emit('close'));
+      done(null);
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      this.socket.destroy();
+    }
+    this.socket = null;
+  }
+
+  async isAvailable() {
+    return true;   // nothing to probe — the next connect attempt is the probe
+  }
+
+  describe() {
+    return `tcp ${this.host}:${this.port}`;
+  }
+}
+
+module.exports = TcpTransport;
@@ -0,0 +1,54 @@
+// services/transports/udpTransport.js — UDP listener for indicators / device
+// servers that push every frame as a datagram. When `host` is set only
+// datagrams from that address are accepted.
+const EventEmitter = require('events');
+const dgram = require('dgram');
+
+class UdpTransport extends EventEmitter {
+  constructor({ host, netPort }) {
+    super();
+    this.host   = host || '';
+    this.port   = parseInt(netPort);
+    this.socket = null;
+  }
+
+  open(cb) {
+    if (!this.port) return cb(new Error('UDP transport needs a port'));
+
+    const socket = dgram.createSocket({ type: 'udp4', reuseAddr: true });
+    socket.once('error', (err) => {
+      socket.close();
+      cb(err);
+    });
+
+    socket.bind(this.port, () => {
+      this.socket = socket;
+      socket.removeAllListeners('error');
+      socket.on('message', (msg, rinfo) => {
+        if (this.host && rinfo.address !== this.host) return;
+        this.emit('data', msg);
+      });
+      socket.on('error', (e) => this.emit('error', e));
+      socket.on('close', ()  => this.emit('close'));
+      cb(null);
+    });
+  }
+
+  close() {
+    if (this.socket) {
+      this.socket.removeAllListeners('close');
+      try { this.socket.close(); } catch (e) {}
+    }
+    this.socket = null;
+  }
+
+  async isAvailable() {
+    return true;
+  }
+
+  describe() {
+    return `udp :${this.port}${this.host ? ` from ${this.host}` : ''}`;
+  }
+}
+
+module.exports = UdpTransport;
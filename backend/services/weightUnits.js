@@ -0,0 +1,110 @@
+// services/weightUnits.js — Site weight unit, scale division and rounding
+//
+// Weights are stored and exchanged over the API in kilograms, always rounded to
+// the scale division. WEIGHT_UNIT only changes how weights are shown on the
+// receipt, in the UI and in exports.
+//
+//   WEIGHT_UNIT      kg | t
+//   SCALE_DIVISION   smallest step of the scale in kg (e.g. 10 or 20)
+//   WEIGHT_ROUNDING  nearest | down | up — applied when a value is not on a division
+
+const UNITS = {
+  kg: { label: 'Kg', factor: 1 },
+  t:  { label: 't',  factor: 1000 }
+};
+
+const ROUNDING = ['nearest', 'down', 'up'];
+
+const DEFAULTS = { unit: 'kg', division: 10, rounding: 'nearest' };
+
+// Material.unit values that are weights, with their size in kg
+const MATERIAL_UNITS = {
+  kg: 1, kgs: 1,
+  t: 1000, ton: 1000, tons: 1000, tonne: 1000, tonnes: 1000, mt: 1000,
+  quintal: 100, qtl: 100
+};
+
+class WeightUnits {
+  constructor() {
+    this.configure(WeightUnits.configFromEnv());
+  }
+
+  static configFromEnv(env = process.env) {
+    const cfg = {};
+    if (env.WEIGHT_UNIT)     cfg.unit     = env.WEIGHT_UNIT;
+    if (env.SCALE_DIVISION)  cfg.division = env.SCALE_DIVISION;
+    if (env.WEIGHT_ROUNDING) cfg.rounding = env.WEIGHT_ROUNDING;
+    return cfg;
+  }
+
+  configure(cfg = {}) {
+    const given  = Object.fromEntries(Object.entries(cfg).filter(([, v]) => v !== undefined));
+    const merged = { ...DEFAULTS, ...(this.config || {}), ...given };
+    const unit   = String(merged.unit).toLowerCase();
+    this.config = {
+      unit:     UNITS[unit] ? unit : DEFAULTS.unit,
+      division: parseFloat(merged.division) > 0 ? parseFloat(merged.division) : DEFAULTS.division,
+      rounding: ROUNDING.includes(merged.rounding) ? merged.rounding : DEFAULTS.rounding
+    };
+    return this.config;
+  }
+
+  // ── Round a kg value onto the scale division
+  round(kg) {
+    if (kg == null || isNaN(kg)) return kg;
+    const { division, rounding } = this.config;
+    const steps = Number(kg) / division;
+    // Tolerate float noise (39170.000000001) before rounding up/down
+    const snapped = Math.abs(steps - Math.round(steps)) < 1e-9 ? Math.round(steps) : steps;
+    const n = rounding === 'down' ? Math.floor(snapped) : rounding === 'up' ? Math.ceil(snapped) : Math.round(snapped);
+    return parseFloat((n * division).toFixed(6));
+  }
+
+  // ── Indicator reading in its own unit ('kg' | 't' | null) → kg
+  toKg(value, unit) {
+    const factor = unit && UNITS[String(unit).toLowerCase()] ? UNITS[String(unit).toLowerCase()].factor : 1;
+    return Number(value) * factor;
+  }
+
+  label() {
+    return UNITS[this.config.unit].label;
+  }
+
+  // Decimals needed to show one division in the display unit (10 kg in t → 2)
+  decimals() {
+    const step = this.config.division / UNITS[this.config.unit].factor;
+    const text = String(parseFloat(step.toFixed(6)));
+    return text.includes('.') ? text.split('.')[1].length : 0;
+  }
+
+  toDisplay(kg) {
+    return parseFloat((Number(kg) / UNITS[this.config.unit].factor).toFixed(this.decimals()));
+  }
+
+  fromDisplay(value) {
+    return this.round(Number(value) * UNITS[this.config.unit].factor);
+  }
+
+  // ── '39,170 Kg' / '39.17 t' — empty values give '--'
+  format(kg, { unit = true, separator = ' ' } = {}) {
+    if (kg == null || kg === '' || isNaN(kg)) return '--';
+    const d    = this.decimals();
+    const text = this.toDisplay(kg).toLocaleString('en-IN', { minimumFractionDigits: d, maximumFractionDigits: d });
+    return unit ? `${text}${separator}${this.label()}` : text;
+  }
+
+  // ── kg → quantity in a Material.unit; null when that unit is not a weight (Litre, Nos, Bag)
+  toMaterialUnit(kg, materialUnit) {
+    const factor = MATERIAL_UNITS[String(materialUnit || 'kg').trim().toLowerCase()];
+    return factor ? parseFloat((Number(kg) / factor).toFixed(3)) : null;
+  }
+
+  getConfig() {
+    return { ...this.config, label: this.label(), factor: UNITS[this.config.unit].factor, decimals: this.decimals() };
+  }
+}
+
+WeightUnits.UNITS    = UNITS;
+WeightUnits.ROUNDING = ROUNDING;
+
+module.exports = new WeightUnits();
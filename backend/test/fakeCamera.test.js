@@ -0,0 +1,99 @@
+// test/fakeCamera.test.js — Live previews (services/cameraPreview.js) of tools/fakeCamera.js
+//
+// Browsers are stood in for by HTTP clients reading the preview's MJPEG stream; the
+// stand-in camera logs every stream connection, which shows how many the feed opened.
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const http     = require('http');
+const CameraService = require('../services/cameraService');
+const cameraPreview = require('../services/cameraPreview');
+const { MjpegParser } = cameraPreview;
+const { freePort, startTool, stopTool, waitFor } = require('./helpers');
+
+// A weighbridge with one digest-auth camera on the stand-in, previewed at /preview
+async function previewServer(bridgeId, cameraPort, { stream }) {
+  const base   = `http://127.0.0.1:${cameraPort}`;
+  const bridge = {
+    id:     bridgeId,
+    camera: new CameraService({ cameras: [{
+      camera: 1, role: 'Front', url: `${base}/snapshot.jpg`, stream: stream ? `${base}/mjpeg` : null,
+      user: 'admin', pass: '1234', auth: 'digest', timeoutMs: 3000, onReceipt: true, previewFps: 5
+    }] })
+  };
+  const server = http.createServer((req, res) => cameraPreview.serve(bridge, 1, req, res));
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return server;
+}
+
+// An <img> watching the preview: counts the JPEG frames it receives
+function watch(server) {
+  const viewer = { frames: [], contentType: null, request: null };
+  const parser = new MjpegParser(frame => viewer.frames.push(frame));
+  viewer.request = http.get(`http://127.0.0.1:${server.address().port}/preview`, res => {
+    viewer.contentType = res.headers['content-type'];
+    res.on('data', chunk => parser.push(chunk));
+  });
+  viewer.request.on('error', () => {});
+  return viewer;
+}
+
+function feedStats(bridgeId) {
+  return cameraPreview.list().find(f => f.bridge === bridgeId);
+}
+
+async function withCamera(run) {
+  const port   = await freePort();
+  const camera = await startTool('fakeCamera', ['--port', port, '--fps', 10, '--user', 'admin', '--pass', '1234', '--auth', 'digest'], /snapshot\.jpg/);
+  const log    = [];
+  camera.stdout.on('data', chunk => log.push(...String(chunk).split('\n').filter(Boolean)));
+  try {
+    await run(port, log);
+  } finally {
+    await stopTool(camera);
+  }
+}
+
+test('mjpeg: viewers share one camera connection, closed after the last one leaves', () => withCamera(async (port, log) => {
+  const server = await previewServer('TEST-MJPEG', port, { stream: true });
+  try {
+    const first  = watch(server);
+    const second = watch(server);
+    await waitFor(() => first.frames.length >= 3 && second.frames.length >= 3, 8000, 'frames for both viewers');
+
+    assert.match(first.contentType, /^multipart\/x-mixed-replace; boundary=/);
+    for (const frame of [...first.frames, ...second.frames]) {
+      assert.deepEqual([...frame.subarray(0, 2)], [0xff, 0xd8]);
+      assert.deepEqual([...frame.subarray(-2)], [0xff, 0xd9]);
+    }
+    const stats = feedStats('TEST-MJPEG');
+    assert.equal(stats.mode, 'mjpeg');
+    assert.equal(stats.state, 'live');
+    assert.equal(stats.viewers, 2);
+    assert.equal(log.filter(l => l.includes('Stream opened')).length, 1, log.join('\n'));
+
+    first.request.destroy();
+    second.request.destroy();
+    await waitFor(() => log.some(l => l.includes('Stream closed — 0 open')), 10000, 'the camera stream to close');
+    assert.equal(feedStats('TEST-MJPEG').state, 'idle');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}));
+
+test('snapshot: a camera without a stream is polled', () => withCamera(async port => {
+  const server = await previewServer('TEST-SNAPSHOT', port, { stream: false });
+  try {
+    const viewer = watch(server);
+    await waitFor(() => viewer.frames.length >= 2, 8000, 'polled frames');
+    assert.notDeepEqual(viewer.frames[0], viewer.frames[1]);
+    const stats = feedStats('TEST-SNAPSHOT');
+    assert.equal(stats.mode, 'snapshot');
+    assert.equal(stats.fps, 5);
+    viewer.request.destroy();
+    await waitFor(() => feedStats('TEST-SNAPSHOT').state === 'idle', 10000, 'the feed to stop');
+  } finally {
+    server.closeAllConnections();
+    server.close();
+  }
+}));
@@ -0,0 +1,51 @@
+// test/fakeIndicator.test.js — tools/fakeIndicator.js through the tcp / udp transports
+//
+// Each protocol's frames are served by the stand-in and read by a SerialService
+// exactly as from a device server: delimiter framing, protocol driver, kg reading.
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const SerialService = require('../services/serialService');
+const { freePort, startTool, stopTool, waitFor } = require('./helpers');
+
+const WEIGHT    = 39170;
+const PROTOCOLS = ['ascii', 'st-gs', 'stx-continuous', 'fixed-checksum'];
+
+// Frames parsed until the stand-in settles: its stable frames carry no noise (ascii has no motion flag)
+async function expectSettledWeight(serial) {
+  await waitFor(() => serial.isConnected, 5000, `${serial.endpoint} to open`);
+  await waitFor(() => serial.frameStats.frames >= 12 && serial.currentWeight === WEIGHT && serial.indicatorStable !== false,
+    5000, `${WEIGHT} kg from ${serial.endpoint}`);
+  assert.equal(serial.isSimulation, false);
+  assert.equal(serial.frameStats.badFrames, 0, `bad frame ${serial.frameStats.lastBadFrame}`);
+  assert.equal(serial.currentWeight, WEIGHT);
+}
+
+for (const protocol of PROTOCOLS) {
+  test(`tcp: ${protocol} frames are parsed`, async () => {
+    const port   = await freePort();
+    const child  = await startTool('fakeIndicator', ['--port', port, '--protocol', protocol, '--weight', WEIGHT, '--interval', 40], /listening/);
+    const serial = new SerialService('TEST');
+    try {
+      serial.initialize({ transport: 'tcp', host: '127.0.0.1', netPort: port, protocol });
+      await expectSettledWeight(serial);
+    } finally {
+      serial.close();
+      await stopTool(child);
+    }
+  });
+}
+
+test('udp: fixed-checksum datagrams are parsed', async () => {
+  const port   = await freePort('udp');
+  const serial = new SerialService('TEST');
+  let child = null;
+  try {
+    serial.initialize({ transport: 'udp', netPort: port, protocol: 'fixed-checksum' });
+    await waitFor(() => serial.isConnected, 5000, 'udp listener');
+    child = await startTool('fakeIndicator', ['--udp', `127.0.0.1:${port}`, '--protocol', 'fixed-checksum', '--weight', WEIGHT, '--interval', 40], /sending UDP/);
+    await expectSettledWeight(serial);
+  } finally {
+    serial.close();
+    await stopTool(child);
+  }
+});
@@ -0,0 +1,76 @@
+// test/helpers.js — Shared by the tests that drive the local stand-ins in tools/
+const path  = require('path');
+const net   = require('net');
+const dgram = require('dgram');
+const { spawn } = require('child_process');
+
+const TOOLS_DIR = path.join(__dirname, '../tools');
+
+// ── A TCP or UDP port nothing listens on right now
+function freePort(type = 'tcp') {
+  return new Promise((resolve, reject) => {
+    if (type === 'udp') {
+      const socket = dgram.createSocket('udp4');
+      socket.once('error', reject);
+      return socket.bind(0, '127.0.0.1', () => {
+        const { port } = socket.address();
+        socket.close(() => resolve(port));
+      });
+    }
+    const server = net.createServer();
+    server.once('error', reject);
+    server.listen(0, '127.0.0.1', () => {
+      const { port } = server.address();
+      server.close(() => resolve(port));
+    });
+  });
+}
+
+// ── Start tools/<name>.js and resolve with the child once its stdout matches `ready`
+function startTool(name, args, ready, timeoutMs = 10000) {
+  return new Promise((resolve, reject) => {
+    const child = spawn(process.execPath, [path.join(TOOLS_DIR, `${name}.js`), ...args.map(String)], { stdio: ['ignore', 'pipe', 'pipe'] });
+    let output = '';
+    const timer = setTimeout(() => {
+      child.kill();
+      reject(new Error(`${name} did not start within ${timeoutMs} ms:\n${output}`));
+    }, timeoutMs);
+    const onData = chunk => {
+      output += chunk;
+      if (!ready.test(output)) return;
+      clearTimeout(timer);
+      resolve(child);
+    };
+    child.stdout.on('data', onData);
+    child.stderr.on('data', chunk => { output += chunk; });
+    child.once('exit', code => {
+      clearTimeout(timer);
+      reject(new Error(`${name} exited with code ${code}:\n${output}`));
+    });
+  });
+}
+
+// ── Stop a child started by startTool and wait for it to go
+function stopTool(child) {
+  if (!child || child.exitCode !== null || child.signalCode !== null) return Promise.resolve();
+  return new Promise(resolve => {
+    child.once('exit', () => resolve());
+    child.kill();
+  });
+}
+
+// ── Resolve once `condition()` is truthy, checking every 25 ms
+function waitFor(condition, timeoutMs = 5000, what = 'condition') {
+  return new Promise((resolve, reject) => {
+    const started = Date.now();
+    const check = () => {
+      const value = condition();
+      if (value) return resolve(value);
+      if (Date.now() - started > timeoutMs) return reject(new Error(`Timed out waiting for ${what}`));
+      setTimeout(check, 25);
+    };
+    check();
+  });
+}
+
+module.exports = { freePort, startTool, stopTool, waitFor };
@@ -0,0 +1,35 @@
+// test/protocols.test.js — Indicator protocol drivers on known frames
+const { test } = require('node:test');
+const assert   = require('node:assert/strict');
+const protocols = require('../services/protocols');
+
+const stx = protocols.getDriver('stx-continuous');
+
+// STX SWA SWB SWC WWWWWW TTTTTT CR — SWA bit 5 is always set, bits 0-2 are the decimal code
+function stxFrame(code, digits, swb = 0x20) {
+  return Buffer.from(`\x02${String.fromCharCode(0x20 | code)}${String.fromCharCode(swb)}\x20${digits}000000\r`, 'latin1');
+}
+
+test('stx-continuous: each decimal code scales the displayed digits', () => {
+  const expected = { 0: 391700, 1: 39170, 2: 3917, 3: 391.7, 4: 39.17, 5: 3.917, 6: 0.3917, 7: 0.03917 };
+  for (const [code, weight] of Object.entries(expected)) {
+    assert.equal(stx.parse(stxFrame(Number(code), '003917')).weight, weight, `decimal code ${code}`);
+  }
+});
+
+test('stx-continuous: SWB sign, motion and net bits', () => {
+  assert.deepEqual(stx.parse(stxFrame(2, '039170')), { weight: 39170, stable: true, mode: 'gross', unit: null });
+  assert.deepEqual(stx.parse(stxFrame(2, '000040', 0x22)), { weight: -40, stable: true, mode: 'gross', unit: null });
+  assert.deepEqual(stx.parse(stxFrame(1, '003917', 0x29)), { weight: 39170, stable: false, mode: 'net', unit: null });
+});
+
+test('stx-continuous: a checksum byte left from the previous frame is skipped', () => {
+  const frame = Buffer.concat([Buffer.from([0x5a]), stxFrame(2, '012500')]);
+  assert.equal(stx.parse(frame).weight, 12500);
+});
+
+test('stx-continuous: short or garbled frames are rejected', () => {
+  assert.equal(stx.parse(Buffer.from('\x02"  0391', 'latin1')), null);
+  assert.equal(stx.parse(stxFrame(2, '03A170')), null);
+  assert.equal(stx.parse(Buffer.from('039170000000\r', 'latin1')), null);
+});
@@ -0,0 +1,126 @@
+// tools/fakeCamera.js — Local stand-in for an IP camera
+//
+// Serves a numbered test picture as an MJPEG stream and as single snapshots, so the
+// snapshot capture and the live preview can be exercised without hardware. Every
+// connection to the stream is logged with the number currently open, which shows
+// that the backend shares one connection between all the browsers watching.
+//
+//   node tools/fakeCamera.js                            → http :8554, 5 fps, no auth
+//   node tools/fakeCamera.js --port 8555 --fps 10 --label "Rear"
+//   node tools/fakeCamera.js --user admin --pass 1234 --auth digest
+//
+// Then point a camera at it:
+//   CAMERA1_SNAPSHOT=http://127.0.0.1:8554/snapshot.jpg
+//   CAMERA1_STREAM=http://127.0.0.1:8554/mjpeg
+//   CAMERA1_USER=admin CAMERA1_PASS=1234 CAMERA1_AUTH=digest
+
+const http   = require('http');
+const crypto = require('crypto');
+const sharp  = require('sharp');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const port  = parseInt(arg('port', '8554'));
+const fps   = parseFloat(arg('fps', '5'));
+const label = arg('label', `Fake camera :${port}`);
+const user  = arg('user', '');
+const pass  = arg('pass', '');
+const auth  = arg('auth', 'basic');
+const realm = 'FakeCamera';
+const BOUNDARY = 'fakecamframe';
+
+if (!['basic', 'digest'].includes(auth)) {
+  console.error(`Unknown auth "${auth}" — use basic or digest`);
+  process.exit(1);
+}
+
+// ── Test picture: label, frame counter and clock
+let count = 0;
+
+function escapeXml(text) {
+  return String(text).replace(/[<>&"]/g, c => ({ '<': '&lt;', '>': '&gt;', '&': '&amp;', '"': '&quot;' }[c]));
+}
+
+async function render() {
+  count++;
+  const hue = (count * 7) % 360;
+  const svg = `<svg xmlns="http://www.w3.org/2000/svg" width="640" height="360">
+    <rect width="640" height="360" fill="hsl(${hue},45%,30%)"/>
+    <text x="24" y="60" font-family="sans-serif" font-size="32" fill="#fff">${escapeXml(label)}</text>
+    <text x="24" y="200" font-family="monospace" font-size="96" fill="#fff">#${count}</text>
+    <text x="24" y="320" font-family="monospace" font-size="28" fill="#fff">${new Date().toLocaleTimeString()}</text>
+  </svg>`;
+  return sharp(Buffer.from(svg)).jpeg({ quality: 70 }).toBuffer();
+}
+
+// ── Credentials: Basic, or Digest with qop=auth (MD5)
+const nonces = new Set();
+
+function authorized(req) {
+  if (!user) return true;
+  const header = req.headers.authorization || '';
+  if (auth === 'basic') {
+    return header === `Basic ${Buffer.from(`${user}:${pass}`).toString('base64')}`;
+  }
+  if (!/^Digest\s/i.test(header)) return false;
+  const p = {};
+  header.replace(/([a-z0-9_-]+)\s*=\s*(?:"([^"]*)"|([^,\s]*))/gi, (m, key, quoted, plain) => { p[key.toLowerCase()] = quoted !== undefined ? quoted : plain; });
+  if (!nonces.has(p.nonce) || p.username !== user) return false;
+  const md5 = text => crypto.createHash('md5').update(text).digest('hex');
+  const ha1 = md5(`${user}:${realm}:${pass}`);
+  const ha2 = md5(`${req.method}:${p.uri}`);
+  return p.response === md5(`${ha1}:${p.nonce}:${p.nc}:${p.cnonce}:${p.qop}:${ha2}`);
+}
+
+function challenge(res) {
+  if (auth === 'basic') {
+    res.writeHead(401, { 'WWW-Authenticate': `Basic realm="${realm}"` });
+  } else {
+    const nonce = crypto.randomBytes(16).toString('hex');
+    nonces.add(nonce);
+    res.writeHead(401, { 'WWW-Authenticate': `Digest realm="${realm}", qop="auth", nonce="${nonce}", algorithm=MD5` });
+  }
+  res.end('Unauthorized');
+}
+
+// ── HTTP server
+const streams = new Set();
+
+http.createServer(async (req, res) => {
+  const path = req.url.split('?')[0];
+  if (!['/mjpeg', '/snapshot.jpg'].includes(path)) {
+    res.writeHead(404);
+    return res.end('Use /mjpeg or /snapshot.jpg');
+  }
+  if (!authorized(req)) return challenge(res);
+
+  if (path === '/snapshot.jpg') {
+    const image = await render();
+    res.writeHead(200, { 'Content-Type': 'image/jpeg', 'Content-Length': image.length });
+    return res.end(image);
+  }
+
+  res.writeHead(200, { 'Content-Type': `multipart/x-mixed-replace; boundary=${BOUNDARY}`, 'Cache-Control': 'no-cache' });
+  streams.add(res);
+  console.log(`🎥 Stream opened by ${req.socket.remoteAddress} — ${streams.size} open`);
+  req.on('close', () => {
+    streams.delete(res);
+    console.log(`🎥 Stream closed — ${streams.size} open`);
+  });
+}).listen(port, () => {
+  console.log(`📷 ${label} on http://127.0.0.1:${port}/mjpeg and /snapshot.jpg, ${fps} fps` +
+    (user ? `, ${auth} auth as ${user}` : ''));
+});
+
+setInterval(async () => {
+  if (!streams.size) return;
+  const image = await render();
+  streams.forEach(res => {
+    res.write(`--${BOUNDARY}\r\nContent-Type: image/jpeg\r\nContent-Length: ${image.length}\r\n\r\n`);
+    res.write(image);
+    res.write('\r\n');
+  });
+}, 1000 / fps);
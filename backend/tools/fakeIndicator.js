@@ -0,0 +1,78 @@
+// tools/fakeIndicator.js — Local stand-in for an indicator behind a serial device server
+//
+// Serves weight frames over raw TCP (like a Moxa NPort in TCP server mode) or
+// pushes them as UDP datagrams, so the tcp / udp transports can be exercised
+// without hardware.
+//
+//   node tools/fakeIndicator.js                         → tcp :4001, ascii, 39170 kg
+//   node tools/fakeIndicator.js --port 4002 --protocol st-gs --weight 12500
+//   node tools/fakeIndicator.js --udp 127.0.0.1:5000 --protocol fixed-checksum
+//
+// Then point the backend at it:
+//   INDICATOR_TRANSPORT=tcp INDICATOR_HOST=127.0.0.1 INDICATOR_PORT=4001
+
+const net   = require('net');
+const dgram = require('dgram');
+const { xorChecksum } = require('../services/protocols/fixedChecksum');
+
+function arg(name, fallback) {
+  const idx = process.argv.indexOf(`--${name}`);
+  return idx !== -1 && process.argv[idx + 1] ? process.argv[idx + 1] : fallback;
+}
+
+const protocol = arg('protocol', 'ascii');
+const port     = parseInt(arg('port', '4001'));
+const udp      = arg('udp', '');
+const weight   = parseInt(arg('weight', '39170'));
+const interval = parseInt(arg('interval', '500'));
+
+const pad = (n, len) => String(Math.abs(Math.round(n))).padStart(len, '0');
+
+// One frame per protocol, including its delimiter
+const ENCODERS = {
+  'ascii':          (w)         => `+${pad(w, 6)} Kg\r\n`,
+  'st-gs':          (w, stable) => `${stable ? 'ST' : 'US'},GS,+${pad(w, 6)}kg\r\n`,
+  // SWA 0x22: decimal code 2, the weight as is (no decimals, no dummy zeros)
+  'stx-continuous': (w, stable) => `\x02\x22${String.fromCharCode(stable ? 0x20 : 0x28)}\x20${pad(w, 6)}000000\r`,
+  'fixed-checksum': (w, stable) => {
+    const body = `+${pad(w, 7)}${stable ? 'S' : 'M'}G`;
+    const cks  = xorChecksum(Buffer.from(body, 'ascii')).toString(16).toUpperCase().padStart(2, '0');
+    return `\x02${body}${cks}\x03`;
+  }
+};
+
+const encode = ENCODERS[protocol];
+if (!encode) {
+  console.error(`Unknown protocol "${protocol}" — use one of: ${Object.keys(ENCODERS).join(', ')}`);
+  process.exit(1);
+}
+
+// Settles on `weight` after a few noisy frames, like a truck coming to rest
+let tick = 0;
+function nextFrame() {
+  tick++;
+  const settling = tick % 40 < 8;
+  const noise    = settling ? Math.floor(Math.random() * 200 - 100) : 0;
+  return Buffer.from(encode(weight + noise, !settling), 'latin1');
+}
+
+if (udp) {
+  const [host, udpPort] = udp.split(':');
+  const socket = dgram.createSocket('udp4');
+  setInterval(() => socket.send(nextFrame(), parseInt(udpPort), host), interval);
+  console.log(`📡 Fake indicator [${protocol}] sending UDP to ${host}:${udpPort} every ${interval} ms`);
+} else {
+  const clients = new Set();
+  net.createServer((socket) => {
+    clients.add(socket);
+    console.log(`🔌 Client connected from ${socket.remoteAddress}`);
+    socket.on('close', () => clients.delete(socket));
+    socket.on('error', () => clients.delete(socket));
+  }).listen(port, () => {
+    console.log(`📡 Fake indicator [${protocol}] listening on tcp :${port}, frame every ${interval} ms`);
+  });
+  setInterval(() => {
+    const frame = nextFrame();
+    clients.forEach(c => c.write(frame));
+  }, interval);
+}